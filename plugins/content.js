@@ -0,0 +1,216 @@
+/**
+ * plugins/content.js — Vite plugin that turns page copy files into terminal lines
+ *
+ * Page copy lives in src/content as Markdown (.md) or JSON (.json), one folder per
+ * language (src/content/en, src/content/tr), so it can be edited without touching
+ * any React code. Importing one of those files gives the
+ * { type, text, href?, page? } line array that PageContent's TerminalLine renders.
+ *
+ * Markdown, one line in the file = one line in the panel:
+ * - "# Summary" (any heading level)   → prompt  "> Summary"
+ * - blank line                         → empty output line (paragraph break)
+ * - "[Open my resume](/resume.pdf)"    → link (whole line must be the link)
+ * - "- [projects/](page:projects)"     → dir that opens the "projects" sub-page
+ * - "- skills/"                        → plain dir line
+ * - "<!-- note -->"                    → ignored (notes for editors)
+ * - anything else                      → output
+ *
+ * JSON must be an array of line objects in the same shape.
+ *
+ * Every file in the content directory is checked when the build starts, and again
+ * whenever it is imported, so a malformed file (unknown type, link without href,
+ * empty heading, ...) fails `vite build` — and shows the dev overlay — with the
+ * file name, line number and what is wrong. That includes dir links: a file belongs to
+ * the page it is named after (resume.md → "resume"), and "page:<id>" must be one of that
+ * page's children in src/pageTree.js, since that is the only place App can open it from.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { childIdsOf } from '../src/pageTree.js';
+
+/** Line types TerminalLine knows how to render, and the fields each line may carry. */
+const LINE_TYPES = ['prompt', 'output', 'dir', 'link'];
+const LINE_FIELDS = ['type', 'text', 'href', 'page'];
+
+const HEADING_RE = /^#{1,6}(?:\s+(.*?))?\s*#*$/;
+const LINK_RE = /^\[([^\]]*)\]\(([^)]*)\)$/;
+const DIR_RE = /^[-*]\s+(.*)$/;
+const COMMENT_RE = /^<!--.*-->$/;
+const PAGE_HREF_PREFIX = 'page:';
+
+/** Error with a file:line prefix so the build output points straight at the problem. */
+function contentError(file, lineNo, message) {
+  const where = lineNo ? `${file}:${lineNo}` : file;
+  return new Error(`${where}: ${message}`);
+}
+
+/**
+ * What is wrong with a dir link from file to page id, or null if id is a child of the page
+ * that owns the file (the one named like it).
+ */
+function subPageLinkProblem(id, file) {
+  const owner = path.basename(file, path.extname(file));
+  const children = childIdsOf(owner);
+  if (!children) return `dir link points at page "${id}", but there is no page "${owner}" in src/pageTree.js for this file to have sub-pages`;
+  if (!children.includes(id)) {
+    return `dir link points at page "${id}", which isn't a sub-page of "${owner}" in src/pageTree.js (its sub-pages: ${children.join(', ') || 'none'})`;
+  }
+  return null;
+}
+
+/** Converts Markdown source to terminal lines (see the header comment for the syntax). */
+export function parseMarkdown(source, file) {
+  const lines = [];
+  source
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .forEach((raw, i) => {
+      const lineNo = i + 1;
+      const text = raw.trim();
+
+      if (!text) {
+        lines.push({ type: 'output', text: '' });
+        return;
+      }
+      if (COMMENT_RE.test(text)) return;
+
+      const heading = HEADING_RE.exec(text);
+      if (heading) {
+        if (!heading[1]) throw contentError(file, lineNo, 'heading has no text');
+        lines.push({ type: 'prompt', text: `> ${heading[1]}` });
+        return;
+      }
+
+      const dir = DIR_RE.exec(text);
+      if (dir) {
+        const dirLink = LINK_RE.exec(dir[1]);
+        if (!dirLink) {
+          lines.push({ type: 'dir', text: dir[1] });
+          return;
+        }
+        const [, label, href] = dirLink;
+        if (!href.startsWith(PAGE_HREF_PREFIX) || !href.slice(PAGE_HREF_PREFIX.length)) {
+          throw contentError(file, lineNo, `dir link "${label}" must point at a sub-page as (page:<id>), got "(${href})"`);
+        }
+        const page = href.slice(PAGE_HREF_PREFIX.length);
+        const problem = subPageLinkProblem(page, file);
+        if (problem) throw contentError(file, lineNo, problem);
+        lines.push({ type: 'dir', text: label, page });
+        return;
+      }
+
+      const link = LINK_RE.exec(text);
+      if (link) {
+        const [, label, href] = link;
+        if (!href.trim()) throw contentError(file, lineNo, `link "${label}" has no href`);
+        lines.push({ type: 'link', text: label, href: href.trim() });
+        return;
+      }
+
+      lines.push({ type: 'output', text });
+    });
+
+  /* Leading/trailing blank lines in the file aren't meant as paragraph breaks. */
+  while (lines.length && lines[0].type === 'output' && lines[0].text === '') lines.shift();
+  while (lines.length && lines[lines.length - 1].type === 'output' && lines[lines.length - 1].text === '') lines.pop();
+  return lines;
+}
+
+/** Parses JSON source; a syntax error is reported like any other content error. */
+export function parseJson(source, file) {
+  try {
+    return JSON.parse(source);
+  } catch (err) {
+    throw contentError(file, 0, `invalid JSON (${err.message})`);
+  }
+}
+
+/**
+ * Checks a line array against the schema TerminalLine expects and throws on the first problem.
+ * Problems are reported by position in the array ("line 3"), which for JSON is the 1-based entry
+ * (Markdown is checked line by line in parseMarkdown first, so its errors give the file's line).
+ */
+export function validateLines(lines, file) {
+  if (!Array.isArray(lines)) throw contentError(file, 0, 'content must be an array of lines');
+  lines.forEach((line, i) => {
+    const where = `line ${i + 1}`;
+    if (!line || typeof line !== 'object' || Array.isArray(line)) {
+      throw contentError(file, 0, `${where} must be an object with type and text`);
+    }
+    const unknown = Object.keys(line).filter(key => !LINE_FIELDS.includes(key));
+    if (unknown.length) {
+      throw contentError(file, 0, `${where} has unknown field(s) ${unknown.join(', ')} (allowed: ${LINE_FIELDS.join(', ')})`);
+    }
+    if (!LINE_TYPES.includes(line.type)) {
+      throw contentError(file, 0, `${where} has unknown type "${line.type}" (expected one of: ${LINE_TYPES.join(', ')})`);
+    }
+    if (typeof line.text !== 'string') throw contentError(file, 0, `${where} (${line.type}) needs a text string`);
+    if (line.type === 'link' && (typeof line.href !== 'string' || !line.href.trim())) {
+      throw contentError(file, 0, `${where} is a link without href`);
+    }
+    if (line.type !== 'link' && line.href !== undefined) {
+      throw contentError(file, 0, `${where} has an href but type "${line.type}" (only links take href)`);
+    }
+    if (line.page !== undefined && (line.type !== 'dir' || typeof line.page !== 'string' || !line.page)) {
+      throw contentError(file, 0, `${where}: page is only allowed on dir lines and must be a sub-page id`);
+    }
+    const problem = line.page !== undefined && subPageLinkProblem(line.page, file);
+    if (problem) throw contentError(file, 0, `${where}: ${problem}`);
+  });
+  return lines;
+}
+
+/** Parses and validates one content file by extension; returns null for files that aren't content. */
+export function loadContent(source, file) {
+  if (file.endsWith('.md')) return validateLines(parseMarkdown(source, file), file);
+  if (file.endsWith('.json')) return validateLines(parseJson(source, file), file);
+  return null;
+}
+
+export default function contentPlugin({ dir = 'src/content' } = {}) {
+  let contentDir = '';
+  let root = '';
+
+  const isContentFile = id => id.startsWith(contentDir + path.sep) && /\.(md|json)$/.test(id);
+
+  return {
+    name: 'portfolio-content',
+    /* Run before vite:json so we see the raw JSON, and so .md never reaches the asset pipeline. */
+    enforce: 'pre',
+
+    configResolved(config) {
+      root = config.root;
+      contentDir = path.resolve(root, dir);
+    },
+
+    /** Validate every content file up front (in the language folders too), including ones no page imports yet. */
+    buildStart() {
+      if (!fs.existsSync(contentDir)) return;
+      for (const name of fs.readdirSync(contentDir, { recursive: true })) {
+        const file = path.join(contentDir, name);
+        if (!isContentFile(file)) continue;
+        this.addWatchFile(file);
+        try {
+          loadContent(fs.readFileSync(file, 'utf8'), path.relative(root, file));
+        } catch (err) {
+          this.error(err.message);
+        }
+      }
+    },
+
+    transform(code, id) {
+      const file = id.split('?')[0];
+      if (!isContentFile(file)) return null;
+      let lines;
+      try {
+        lines = loadContent(code, path.relative(root, file));
+      } catch (err) {
+        this.error(err.message);
+      }
+      /* JSON is left for vite:json to turn into a module once it has passed validation. */
+      if (file.endsWith('.json')) return null;
+      return { code: `export default ${JSON.stringify(lines)};\n`, map: null };
+    }
+  };
+}
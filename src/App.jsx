@@ -3,90 +3,181 @@
  *
  * This file controls the entire app flow:
  * - Renders the full-screen FaultyTerminal (WebGL background) at all times
- * - When no page is selected: shows three clickable labels (ABOUT, RESUME, COVER) that
- *   switch to "CLICK" on hover
+ * - When no page is selected: shows one clickable label per top-level entry in the page
+ *   registry (pages.js: ABOUT, RESUME, COVER) that switches to its hover text ("CLICK")
  * - When a label is clicked: the terminal zooms toward that label's position, the label
  *   text moves to the top as a header, the PageContent panel appears, and a "Return" button
  *   appears at the bottom
- * - When "Return" is clicked: the zoom reverses, the header and content slide back, and
- *   we return to the three-label view
+ * - Sub-pages (e.g. RESUME → PROJECTS → LOCAL LEGENDS) open from 'dir' lines in the panel;
+ *   each level zooms the terminal one step deeper, and "Return" goes up one level
+ * - When "Return" is clicked on a top-level page: the zoom reverses, the header and content
+ *   slide back, and we return to the label view
+ * - Each page has its own URL ("#/about", "#/resume/projects", ...). Opening a deep link shows
+ *   the page with the header already at the top; Back/Forward run the same zoom-in /
+ *   zoom-back path as clicking a label or "Return"
+ * - Keyboard: arrow keys / Home / End move between the labels (roving tabindex), Escape is
+ *   "Return", focus moves into the panel when a page opens and back to the label that
+ *   opened it once the zoom-back has finished
+ * - "/" or Ctrl+K opens a search over every page; picking a result zooms to that page
+ *   and the panel scrolls to and highlights the matched line
+ * - The colour theme (themes.js) sets the terminal's CRT props and the page's CSS colours;
+ *   the swatches in the corner switch it, and the choice is saved (or set by "?theme=")
+ * - Alt+Shift+E toggles a small export panel that saves the background as PNG / WebM
+ * - The labels shuffle as a cascade on one shared loop (ShuffleGroup); the header's shuffle
+ *   starts part-way into the zoom toward its page. Their loops pause while they can't be seen:
+ *   off screen, in a background tab, behind the search overlay, or (the header) behind the
+ *   panel until it has moved to the top
+ * - English or Turkish (i18n.js): from "?lang=", the saved choice or the browser's languages,
+ *   switched with the EN / TR buttons in the corner. Page copy comes from pagesFor(locale),
+ *   the other strings from t(); the labels and header shuffle to the new text, and <html>
+ *   gets the locale's lang and dir
+ * - Optional sound (sound.js, off by default; the speaker button switches it): a CRT hum,
+ *   a tick as each Shuffle strip lands and a sweep that follows the terminal's zoom
  *
  * All zoom/transition timing is driven by FaultyTerminal; App only sets flags and
  * passes callbacks so the UI (header, PageContent, Return button) stays in sync.
  */
 
-import { useState, useEffect, useCallback, useRef, memo } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo, memo } from 'react';
 import FaultyTerminal from './component/FaultyTerminal';
 import Shuffle from './component/Shuffle';
+import ShuffleGroup from './component/ShuffleGroup';
+import ShuffleActivity from './component/ShuffleActivity';
 import PageContent from './component/PageContent';
+import SearchOverlay from './component/SearchOverlay';
+import ThemeSwitcher from './component/ThemeSwitcher';
+import ExportPanel from './component/ExportPanel';
+import SoundToggle from './component/SoundToggle';
+import LanguageSwitcher from './component/LanguageSwitcher';
+import useTheme from './hooks/useTheme';
+import useSound from './hooks/useSound';
+import useLocale from './hooks/useLocale';
+import { LocaleContext } from './hooks/useTranslation';
+import { pagesFor, resolvePath } from './pages';
+import { pathFromHash, pushPath } from './router';
 import './App.css';
 
 /** Small vertical gap (px) so we consider "clash" before actual overlap. */
 const OVERLAP_GAP = 8;
 
-/* Maps internal page keys to the label text shown in the header (e.g. selectedWord 'about' → 'ABOUT') */
-const WORD_LABELS = { about: 'ABOUT', resume: 'RESUME', cover: 'COVER' };
-
 /**
- * Stable grid multiplier for FaultyTerminal so its useEffect dependency doesn't change on
- * every App re-render (e.g. when transitionRequested or selectedWord changes). If we
- * passed [2, 1] inline, a new array would be created each render and FaultyTerminal
- * would re-run its WebGL setup unnecessarily.
+ * Stable grid multiplier for FaultyTerminal so its uniform values don't change on every App
+ * re-render (e.g. when transitionRequested or selectedPath changes). If we passed [2, 1]
+ * inline, a new array would be created each render and FaultyTerminal would re-check its
+ * uniforms for nothing.
  */
 const FAULTY_TERMINAL_GRID_MUL = [2, 1];
 
+/** Seconds between the menu labels' shuffles in their cascade. */
+const LABEL_CASCADE_STAGGER = 0.2;
+
+/** uGatherProgress at which the page header starts shuffling, part-way into the zoom toward its page. */
+const HEADER_SHUFFLE_PROGRESS = 0.6;
+
+/** How long (ms) the opened page's label stays spelled in the terminal grid. */
+const TERMINAL_MESSAGE_MS = 1800;
+
+/** How long (ms) the terminal blends its tint, brightness, glitch, ... when the theme changes. */
+const THEME_TWEEN_MS = 900;
+
+/** "?quality" in the URL shows FaultyTerminal's quality tier / frame time readout (for checking slow devices). */
+const SHOW_QUALITY_OVERLAY = new URLSearchParams(window.location.search).has('quality');
+
+/** "?offscreen" renders FaultyTerminal in a worker (where OffscreenCanvas allows); exports then need it off. */
+const RENDER_OFFSCREEN = new URLSearchParams(window.location.search).has('offscreen');
+
+/** Zoom target used when there is no label on screen to zoom toward (e.g. a deep link on first load). */
+const CENTER_TARGET = { x: 0.5, y: 0.5 };
+
+/** Centre of an element in the 0–1 normalized coords FaultyTerminal expects (origin bottom-left). */
+function elementCenter(el) {
+  const rect = el.getBoundingClientRect();
+  return {
+    x: (rect.left + rect.width / 2) / window.innerWidth,
+    y: 1 - (rect.top + rect.height / 2) / window.innerHeight
+  };
+}
+
+/** Path of page ids from the current URL; empty for the main menu. */
+function readPathFromLocation() {
+  return pathFromHash(window.location.hash);
+}
+
+/** True when a key press is going into a text field (so "/" types a slash instead of opening search). */
+function isTypingTarget(el) {
+  if (!el) return false;
+  const tag = el.tagName;
+  return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || el.isContentEditable;
+}
+
+/** True when two paths of page ids point at the same page. */
+function samePath(a, b) {
+  return a.length === b.length && a.every((id, i) => id === b[i]);
+}
+
 /**
  * HoverShuffle — Wrapper that shows one text by default and another on hover, with Shuffle animation
  *
  * Why it exists:
- * - We want "ABOUT" / "RESUME" / "COVER" to switch to "CLICK" on hover. Shuffle animates
- *   character-by-character; when the text prop changes, we need GSAP to rebuild (split chars again).
- * - Remounting Shuffle (by changing its key when hover state changes) forces a fresh
- *   SplitText + timeline so the new word animates in correctly.
+ * - We want "ABOUT" / "RESUME" / "COVER" to switch to "CLICK" on hover. Shuffle morphs
+ *   from the word on screen to the new one when its text prop changes (no remount), so
+ *   entering and leaving just swaps the text.
+ * - onSelect receives the page id and this label's element, so App can zoom toward it for
+ *   both clicks and keyboard activation.
+ * - tabIndex comes from App's roving tabindex (only the active label is a Tab stop);
+ *   onFocusLabel(index) tells App which label now has focus.
+ * - onStripLand is passed to Shuffle (a tick sound per landing character), and locale so
+ *   the scramble letters are the site language's alphabet (Turkish adds Ç, Ğ, İ, Ö, Ş, Ü).
  *
  * triggerOnce=false in Shuffle means it runs the animation immediately on mount (no scroll
- * trigger), so each mount shows the shuffle animation for the current text (default or hover).
+ * trigger) and keeps looping the current text (default or hover).
  */
-const HoverShuffle = memo(function HoverShuffle({ defaultText, hoverText, onClick }) {
+const HoverShuffle = memo(function HoverShuffle({ page, index, defaultText, hoverText, onSelect, tabIndex = 0, onFocusLabel, onStripLand, locale }) {
+  const ref = useRef(null);
   /* true when the user's pointer is over this element */
   const [isHovered, setIsHovered] = useState(false);
-  /* Incremented on every hover enter/leave so Shuffle gets a new key and remounts (GSAP rebuild) */
-  const [hoverKey, setHoverKey] = useState(0);
   const textToShow = isHovered ? hoverText : defaultText;
 
-  const handleMouseEnter = useCallback(() => {
-    setIsHovered(true);
-    setHoverKey(prev => prev + 1);
-  }, []);
+  const handleMouseEnter = useCallback(() => setIsHovered(true), []);
 
-  const handleMouseLeave = useCallback(() => {
-    setIsHovered(false);
-    setHoverKey(prev => prev + 1);
-  }, []);
+  const handleMouseLeave = useCallback(() => setIsHovered(false), []);
+
+  const handleClick = useCallback(() => {
+    onSelect?.(page, ref.current);
+  }, [onSelect, page]);
+
+  const handleFocus = useCallback(() => {
+    onFocusLabel?.(index);
+  }, [onFocusLabel, index]);
 
   /* Keyboard activation: Enter or Space triggers the same action as click (accessibility) */
   const handleKeyDown = useCallback(e => {
     if (e.key === 'Enter' || e.key === ' ') {
       e.preventDefault();
-      onClick?.();
+      handleClick();
     }
-  }, [onClick]);
+  }, [handleClick]);
 
   return (
     <div
+      ref={ref}
       onMouseEnter={handleMouseEnter}
       onMouseLeave={handleMouseLeave}
-      onClick={onClick}
+      onClick={handleClick}
       onKeyDown={handleKeyDown}
+      onFocus={handleFocus}
       style={{ cursor: 'pointer' }}
+      data-page={page}
       role="button"
-      tabIndex={0}
+      tabIndex={tabIndex}
     >
       <Shuffle
-        key={hoverKey}
         text={textToShow}
         loop={true}
         triggerOnce={false}
+        onStripLand={onStripLand}
+        locale={locale}
+        scrambleCharset="auto"
       />
     </div>
   );
@@ -97,62 +188,154 @@ function App() {
      State that drives the zoom and "page" view
      ------------------------------------------------------------------------- */
 
-  /* True when user has just clicked ABOUT/RESUME/COVER; tells FaultyTerminal to start zooming toward the click point */
-  const [transitionRequested, setTransitionRequested] = useState(false);
+  /* Path from the URL on first load (deep link); read once so the initial state below agrees with it */
+  const [initialPath] = useState(readPathFromLocation);
+  /* True when the terminal should zoom to the current page's level (label click, sub-page, deep link) */
+  const [transitionRequested, setTransitionRequested] = useState(initialPath.length > 0);
   /* { x, y } in 0–1 normalized coords (center of the clicked label); FaultyTerminal zooms toward this point */
-  const [transitionTarget, setTransitionTarget] = useState(null);
-  /* Which page is selected: 'about' | 'resume' | 'cover' or null when on the main three-label view */
-  const [selectedWord, setSelectedWord] = useState(null);
-  /* True after the zoom has settled; moves the header from the label position to the top of the screen (CSS transition) */
-  const [headerAtTop, setHeaderAtTop] = useState(false);
+  const [transitionTarget, setTransitionTarget] = useState(initialPath.length ? CENTER_TARGET : null);
+  /* Ids from the top-level page down to the open sub-page (e.g. ['resume', 'projects']); empty on the label view */
+  const [selectedPath, setSelectedPath] = useState(initialPath);
+  /* True after the zoom has settled; moves the header from the label position to the top of the screen (CSS transition).
+     Starts true for a deep link so the header is rendered at the top without animating there. */
+  const [headerAtTop, setHeaderAtTop] = useState(initialPath.length > 0);
   /* True when user has clicked "Return"; tells FaultyTerminal to zoom back and triggers header/content exit animations */
   const [zoomBackRequested, setZoomBackRequested] = useState(false);
   /* True when the content panel would overlap the header or Return button; header slides left, return slides right */
   const [isCramped, setIsCramped] = useState(false);
+  /* True while the search overlay (/ or Ctrl+K) is open */
+  const [searchOpen, setSearchOpen] = useState(false);
+  /* Search result to show: { pathKey, lineIndex, terms }; PageContent for that path scrolls to and highlights the line */
+  const [searchHighlight, setSearchHighlight] = useState(null);
+  /* Index of the click-stack label that is the Tab stop (roving tabindex); arrow keys move it */
+  const [activeLabel, setActiveLabel] = useState(0);
+  /* True while the export panel (Alt+Shift+E) is open */
+  const [exportOpen, setExportOpen] = useState(false);
+  /* Colour theme: theme.shader goes to FaultyTerminal, its CSS variables are applied by the hook */
+  const { theme, selectTheme } = useTheme();
+  /* Site language: page copy in it comes from pagesFor(), UI strings from t(); components below read both from LocaleContext */
+  const { locale, t, selectLocale } = useLocale();
+  const pages = pagesFor(locale.id);
+  const localeContext = useMemo(() => ({ locale, t }), [locale, t]);
+  /* Optional sound layer: ticks from the Shuffle labels, a sweep that follows the terminal's zoom */
+  const sound = useSound();
+  const { setGather } = sound;
 
   const headerRef = useRef(null);
   const returnRef = useRef(null);
   const contentPanelRef = useRef(null);
+  const clickStackRef = useRef(null);
+  /* FaultyTerminal's handle; the export panel calls its snapshot / record */
+  const terminalRef = useRef(null);
+  /* The header's ShuffleGroup; its loop starts part-way into the zoom */
+  const headerGroupRef = useRef(null);
+  /* Latest navigation state for the popstate listener and the sub-page handler, which are created once */
+  const navStateRef = useRef({ selectedPath: initialPath, zoomBackRequested: false });
+  /* Path to open once the current zoom-back finishes (Back/Forward from one top-level page straight to another) */
+  const pendingPathRef = useRef(null);
+  /* Id of the label to focus once the zoom-back has finished (the one whose page is closing) */
+  const returnFocusRef = useRef(null);
 
+  /* Registry entries for the selected path, root first; the last one is the page on screen */
+  const trail = useMemo(() => resolvePath(selectedPath, pages), [selectedPath, pages]);
+  const currentPage = trail[trail.length - 1] || null;
+  const rootId = trail[0]?.id || null;
+  const pathKey = selectedPath.join('/');
+  /* While a page zooms open, the terminal spells its label in the grid around the zoom point (fades once the header has moved up). */
+  const terminalMessage = useMemo(
+    () => (currentPage && !zoomBackRequested ? { text: currentPage.label, position: 'target', duration: TERMINAL_MESSAGE_MS } : null),
+    [currentPage, zoomBackRequested]
+  );
   /* -------------------------------------------------------------------------
      Handlers: all wrapped in useCallback so child components (e.g. HoverShuffle)
      don't re-render unnecessarily when other state changes.
      ------------------------------------------------------------------------- */
 
   /**
-   * Called when the user clicks one of the three labels (ABOUT, RESUME, COVER).
-   * Computes the click position in normalized coords (0–1), stores it as transition
-   * target, sets the selected page, and asks the terminal to start the zoom transition.
-   * Also resets headerAtTop so the header starts from the label position (CSS --start-x/y).
+   * Starts the zoom from the label view into a page (or straight into one of its sub-pages).
+   * The zoom target is the centre of labelEl when given; otherwise we fall back to the
+   * on-screen position of the matching label in the click-stack, and to the screen centre
+   * if that label isn't rendered. Also resets headerAtTop so the header starts from the
+   * label position (CSS --start-x/y).
    */
-  const handleWordClick = useCallback((target, e) => {
-    const el = e?.currentTarget;
-    if (!el) return;
-    const rect = el.getBoundingClientRect();
-    const x = (rect.left + rect.width / 2) / window.innerWidth;
-    const y = 1 - (rect.top + rect.height / 2) / window.innerHeight;
-    setSelectedWord(target);
-    setTransitionTarget({ x, y });
+  const openPath = useCallback((path, labelEl) => {
+    const el = labelEl || clickStackRef.current?.querySelector(`[data-page="${path[0]}"]`);
+    setSelectedPath(path);
+    setTransitionTarget(el ? elementCenter(el) : CENTER_TARGET);
     setTransitionRequested(true);
     setHeaderAtTop(false);
   }, []);
 
+  /**
+   * Moves between levels of the already-open page (e.g. RESUME → PROJECTS or back up).
+   * The header stays at the top and the terminal zooms to the new depth toward the same target.
+   */
+  const navigateWithin = useCallback(path => {
+    setSelectedPath(path);
+    setTransitionRequested(true);
+  }, []);
+
+  /**
+   * Called when the user clicks one of the top-level labels.
+   * Pushes the page's URL and zooms toward the clicked label.
+   */
+  const handleWordClick = useCallback((id, el) => {
+    if (!el) return;
+    setSearchHighlight(null);
+    pushPath([id]);
+    openPath([id], el);
+  }, [openPath]);
+
+  /** Called when a 'dir' line in PageContent is clicked: opens that sub-page one level deeper. */
+  const handleOpenChild = useCallback(id => {
+    const path = [...navStateRef.current.selectedPath, id];
+    setSearchHighlight(null);
+    pushPath(path);
+    navigateWithin(path);
+  }, [navigateWithin]);
+
   /** Called by FaultyTerminal when the zoom-in transition has finished (1.1s). We only clear the request flag. */
   const handleTransitionComplete = useCallback(() => {
     setTransitionRequested(false);
   }, []);
 
-  /** Called when the user clicks "Return". Starts zoom-back and triggers header/content exit (CSS classes). */
-  const handleReturnClick = useCallback(() => {
+  /**
+   * Called by FaultyTerminal as uGatherProgress changes: drives the zoom sweep, and starts the header's
+   * shuffle part-way into the zoom rather than the moment the header mounts.
+   */
+  const handleGatherProgress = useCallback(progress => {
+    setGather(progress);
+    if (progress >= HEADER_SHUFFLE_PROGRESS) headerGroupRef.current?.play();
+  }, [setGather]);
+
+  /** Starts zoom-back and triggers header/content exit (CSS classes). Shared by "Return" and the Back button. */
+  const closePage = useCallback(() => {
+    returnFocusRef.current = navStateRef.current.selectedPath[0] || null;
     setHeaderAtTop(false);
     setIsCramped(false);
     setZoomBackRequested(true);
   }, []);
 
+  /** Called when the user clicks "Return". Goes up one level, or zooms back to the label view from a top-level page. */
+  const handleReturnClick = useCallback(() => {
+    const { selectedPath: current } = navStateRef.current;
+    setSearchHighlight(null);
+    if (current.length > 1) {
+      const parent = current.slice(0, -1);
+      pushPath(parent);
+      navigateWithin(parent);
+      return;
+    }
+    pendingPathRef.current = null;
+    pushPath([]);
+    closePage();
+  }, [closePage, navigateWithin]);
+
   /** Called by FaultyTerminal when the zoom-back has finished. We clear all "page" state and go back to the main view. */
   const handleZoomBackComplete = useCallback(() => {
     setZoomBackRequested(false);
-    setSelectedWord(null);
+    setTransitionRequested(false);
+    setSelectedPath([]);
     setTransitionTarget(null);
     setIsCramped(false);
   }, []);
@@ -171,10 +354,144 @@ function App() {
     setIsCramped(overlapsHeader || overlapsReturn);
   }, []);
 
-  /* Stable per-page click handlers so HoverShuffle receives the same onClick reference and memo works. */
-  const handleAboutClick = useCallback(e => handleWordClick('about', e), [handleWordClick]);
-  const handleResumeClick = useCallback(e => handleWordClick('resume', e), [handleWordClick]);
-  const handleCoverClick = useCallback(e => handleWordClick('cover', e), [handleWordClick]);
+  useEffect(() => {
+    navStateRef.current = { selectedPath, zoomBackRequested };
+  }, [selectedPath, zoomBackRequested]);
+
+  /**
+   * Goes to any path using the same transitions as clicking. Within one top-level page we just
+   * change level; going to a different top-level page zooms back first, and the new page opens
+   * once the labels are on screen again (see the pending-path effect below).
+   * Used by Back/Forward and by the `open` command in the PageContent prompt.
+   */
+  const goToPath = useCallback(path => {
+    const { selectedPath: current, zoomBackRequested: returning } = navStateRef.current;
+    if (returning) {
+      pendingPathRef.current = path.length ? path : null;
+      return;
+    }
+    if (samePath(path, current)) return;
+    if (!current.length) {
+      openPath(path);
+    } else if (path[0] === current[0]) {
+      navigateWithin(path);
+    } else {
+      pendingPathRef.current = path.length ? path : null;
+      closePage();
+    }
+  }, [openPath, navigateWithin, closePage]);
+
+  /** Called by the `open` command in the PageContent prompt: pushes the URL, then navigates like a click. */
+  const handleNavigate = useCallback(path => {
+    pushPath(path);
+    goToPath(path);
+  }, [goToPath]);
+
+  /** Search result picked: remember which line to highlight, then go to its page like any other navigation. */
+  const handleSearchPick = useCallback((result, terms) => {
+    setSearchOpen(false);
+    setSearchHighlight({ pathKey: result.path.join('/'), lineIndex: result.lineIndex, terms });
+    handleNavigate(result.path);
+  }, [handleNavigate]);
+
+  const handleSearchClose = useCallback(() => setSearchOpen(false), []);
+  const handleExportClose = useCallback(() => setExportOpen(false), []);
+
+  /*
+   * "/" (outside text fields) or Ctrl/Cmd+K opens search from anywhere; Ctrl/Cmd+K again closes it.
+   * Alt+Shift+E toggles the export panel (matched by key position: Alt changes e.key on macOS).
+   */
+  useEffect(() => {
+    const onKeyDown = e => {
+      const mod = e.ctrlKey || e.metaKey;
+      if (mod && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setSearchOpen(open => !open);
+      } else if (e.key === '/' && !mod && !e.altKey && !isTypingTarget(e.target)) {
+        e.preventDefault();
+        setSearchOpen(true);
+      } else if (e.altKey && e.shiftKey && !mod && e.code === 'KeyE') {
+        e.preventDefault();
+        setExportOpen(open => !open);
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  /* Back/Forward: read the path from the new URL and run the same path as a click. */
+  useEffect(() => {
+    const onPopState = () => {
+      setSearchHighlight(null);
+      goToPath(readPathFromLocation());
+    };
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, [goToPath]);
+
+  /**
+   * Once zoom-back has finished and the labels are rendered again: open any path queued by
+   * Back/Forward, otherwise give focus back to the label whose page just closed.
+   */
+  useEffect(() => {
+    if (rootId) return;
+    const focusId = returnFocusRef.current;
+    returnFocusRef.current = null;
+    if (pendingPathRef.current) {
+      const path = pendingPathRef.current;
+      pendingPathRef.current = null;
+      openPath(path);
+      return;
+    }
+    if (focusId) clickStackRef.current?.querySelector(`[data-page="${focusId}"]`)?.focus();
+  }, [rootId, openPath]);
+
+  /* Move focus into the panel whenever a page (or sub-page) opens, so keyboard and screen reader users land on the content. */
+  useEffect(() => {
+    if (!pathKey) return;
+    const t = requestAnimationFrame(() => contentPanelRef.current?.focus({ preventScroll: true }));
+    return () => cancelAnimationFrame(t);
+  }, [pathKey]);
+
+  /* Escape = "Return" while a page is open (search and streaming handle their own Escape first). */
+  useEffect(() => {
+    if (!rootId || zoomBackRequested || searchOpen) return;
+    const onKeyDown = e => {
+      if (e.key !== 'Escape' || e.defaultPrevented) return;
+      e.preventDefault();
+      handleReturnClick();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [rootId, zoomBackRequested, searchOpen, handleReturnClick]);
+
+  /** Roving tabindex over the click-stack: arrows move to the previous/next label (wrapping), Home/End to the ends. */
+  const handleStackKeyDown = useCallback(e => {
+    const labels = Array.from(clickStackRef.current?.querySelectorAll('[data-page]') || []);
+    const current = labels.indexOf(document.activeElement);
+    if (current < 0) return;
+    let next;
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowRight':
+        next = (current + 1) % labels.length;
+        break;
+      case 'ArrowUp':
+      case 'ArrowLeft':
+        next = (current - 1 + labels.length) % labels.length;
+        break;
+      case 'Home':
+        next = 0;
+        break;
+      case 'End':
+        next = labels.length - 1;
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+    labels[next].focus();
+  }, []);
 
   /**
    * When a page is selected, we want the header to animate from the label position to the top.
@@ -182,20 +499,21 @@ function App() {
    * position (--start-x, --start-y) applied first; then the transition to top runs.
    */
   useEffect(() => {
-    if (!selectedWord) return;
+    if (!rootId) return;
     const t = requestAnimationFrame(() => {
       requestAnimationFrame(() => setHeaderAtTop(true));
     });
     return () => cancelAnimationFrame(t);
-  }, [selectedWord]);
+  }, [rootId]);
 
   /**
    * When a page is open and header is at top, detect if content panel overlaps header or Return.
    * Run after panel entrance animation (~700ms) and on resize; only when zoom-back is not in progress.
+   * Re-runs when a sub-page opens, since its panel may be taller or shorter.
    */
   useEffect(() => {
-    if (!selectedWord || !headerAtTop || zoomBackRequested) {
-      if (!selectedWord) setIsCramped(false);
+    if (!pathKey || !headerAtTop || zoomBackRequested) {
+      if (!pathKey) setIsCramped(false);
       return;
     }
     const runAfterLayout = () => {
@@ -209,91 +527,150 @@ function App() {
       cleanup?.();
       window.removeEventListener('resize', onResize);
     };
-  }, [selectedWord, headerAtTop, zoomBackRequested, checkOverlap]);
+  }, [pathKey, headerAtTop, zoomBackRequested, checkOverlap]);
 
   return (
-    <div className="app-container">
-      {/* Full-screen WebGL terminal; always mounted. It handles zoom and notifies us via callbacks. */}
-      <FaultyTerminal
-        scale={2.5}
-        gridMul={FAULTY_TERMINAL_GRID_MUL}
-        digitSize={1.2}
-        timeScale={1}
-        scanlineIntensity={1}
-        glitchAmount={1}
-        flickerAmount={1}
-        noiseAmp={1}
-        chromaticAberration={0}
-        dither={0}
-        curvature={0.15}
-        tint="#7FAF7A"
-        mouseReact={true}
-        mouseStrength={0.5}
-        pageLoadAnimation={true}
-        brightness={1}
-        transitionRequested={transitionRequested}
-        transitionTarget={transitionTarget}
-        onTransitionComplete={handleTransitionComplete}
-        zoomBackRequested={zoomBackRequested}
-        onZoomBackComplete={handleZoomBackComplete}
-      />
+    <LocaleContext.Provider value={localeContext}>
+      <div className="app-container">
+        {/* Full-screen WebGL terminal; always mounted. It handles zoom and notifies us via callbacks. */}
+        <FaultyTerminal
+          ref={terminalRef}
+          scale={2.5}
+          gridMul={FAULTY_TERMINAL_GRID_MUL}
+          digitSize={1.2}
+          timeScale={1}
+          scanlineIntensity={theme.shader.scanlineIntensity}
+          glitchAmount={theme.shader.glitchAmount}
+          flickerAmount={theme.shader.flickerAmount}
+          noiseAmp={theme.shader.noiseAmp}
+          chromaticAberration={theme.shader.chromaticAberration}
+          dither={0}
+          curvature={theme.shader.curvature}
+          tint={theme.shader.tint}
+          mouseReact={true}
+          mouseStrength={0.5}
+          pageLoadAnimation={true}
+          brightness={theme.shader.brightness}
+          showQualityOverlay={SHOW_QUALITY_OVERLAY}
+          offscreen={RENDER_OFFSCREEN}
+          tween={THEME_TWEEN_MS}
+          message={terminalMessage}
+          transitionRequested={transitionRequested}
+          transitionLevel={selectedPath.length}
+          transitionTarget={transitionTarget}
+          onTransitionComplete={handleTransitionComplete}
+          zoomBackRequested={zoomBackRequested}
+          onZoomBackComplete={handleZoomBackComplete}
+          onGatherProgress={handleGatherProgress}
+        />
 
-      {/* Footer: only visible on main screen; slides down when a section is opened, slides back up when Return is clicked. */}
-      <footer
-        className={`app-footer ${selectedWord && !zoomBackRequested ? 'app-footer--off-screen' : ''}`}
-        aria-label="Contact and location"
-      >
-        <div className="app-footer__inner">
-          <span className="app-footer__item">
-            <span className="app-footer__label">Email:</span>{' '}
-            <a href="mailto:lulaworkau@gmail.com" className="app-footer__link">lulaworkau@gmail.com</a>
-          </span>
-          <span className="app-footer__separator" aria-hidden="true">·</span>
-          <span className="app-footer__item">
-            <span className="app-footer__label">GitHub:</span>{' '}
-            <a href="https://github.com/saintlula" target="_blank" rel="noopener noreferrer" className="app-footer__link">saintlula</a>
-          </span>
-          <span className="app-footer__separator" aria-hidden="true">·</span>
-          <span className="app-footer__item">Melbourne, Australia</span>
-          <span className="app-footer__separator" aria-hidden="true">·</span>
-          <span className="app-footer__item app-footer__copyright">&copy; 2026 Ehlinaz DY </span>
-        </div>
-      </footer>
-
-      {selectedWord ? (
-        <>
-          {/* Header: shows the selected word (ABOUT/RESUME/COVER). When cramped, slides left so content doesn't cover it. */}
-          <header
-            ref={headerRef}
-            className={`page-header ${headerAtTop ? 'page-header--at-top' : ''} ${headerAtTop && isCramped ? 'page-header--cramped' : ''} ${zoomBackRequested ? 'page-header--returning' : ''}`}
-            style={{
-              '--start-x': transitionTarget ? `${transitionTarget.x * 100}%` : '50%',
-              '--start-y': transitionTarget ? `${(1 - transitionTarget.y) * 100}%` : '50%'
-            }}
-          >
-            <Shuffle text={WORD_LABELS[selectedWord]} loop={true} triggerOnce={false} />
-          </header>
-          {/* Terminal-style content panel for the selected page; ref used to measure overlap with header/return. */}
-          <PageContent ref={contentPanelRef} page={selectedWord} isReturning={zoomBackRequested} />
-          <button
-            ref={returnRef}
-            type="button"
-            className={`return-button return-button--zoomed ${isCramped ? 'return-button--cramped' : ''} ${zoomBackRequested ? 'return-button--hidden' : ''}`}
-            onClick={handleReturnClick}
-            aria-label="Return to main"
+        {/* Footer: only visible on main screen; slides down when a section is opened, slides back up when Return is clicked. */}
+        <footer
+          className={`app-footer ${currentPage && !zoomBackRequested ? 'app-footer--off-screen' : ''}`}
+          aria-label={t('footer.label')}
+        >
+          <div className="app-footer__inner">
+            <span className="app-footer__item">
+              <span className="app-footer__label">{t('footer.email')}</span>{' '}
+              <a href="mailto:lulaworkau@gmail.com" className="app-footer__link">lulaworkau@gmail.com</a>
+            </span>
+            <span className="app-footer__separator" aria-hidden="true">·</span>
+            <span className="app-footer__item">
+              <span className="app-footer__label">{t('footer.github')}</span>{' '}
+              <a href="https://github.com/saintlula" target="_blank" rel="noopener noreferrer" className="app-footer__link">saintlula</a>
+            </span>
+            <span className="app-footer__separator" aria-hidden="true">·</span>
+            <span className="app-footer__item">{t('footer.location')}</span>
+            <span className="app-footer__separator" aria-hidden="true">·</span>
+            <span className="app-footer__item app-footer__copyright">&copy; 2026 Ehlinaz DY </span>
+          </div>
+        </footer>
+
+        {currentPage ? (
+          <>
+            {/* Header: shows the open page's label (e.g. RESUME, PROJECTS). When cramped, slides left so content doesn't cover it. */}
+            <header
+              ref={headerRef}
+              className={`page-header ${headerAtTop ? 'page-header--at-top' : ''} ${headerAtTop && isCramped ? 'page-header--cramped' : ''} ${zoomBackRequested ? 'page-header--returning' : ''}`}
+              style={{
+                '--start-x': transitionTarget ? `${transitionTarget.x * 100}%` : '50%',
+                '--start-y': transitionTarget ? `${(1 - transitionTarget.y) * 100}%` : '50%'
+              }}
+            >
+              {/* Until it's at the top, the header sits under the panel */}
+              <ShuffleActivity active={headerAtTop && !searchOpen}>
+                <ShuffleGroup ref={headerGroupRef} autoPlay={false}>
+                  <Shuffle text={currentPage.label} loop={true} triggerOnce={false} onStripLand={sound.tick} locale={locale.id} scrambleCharset="auto" />
+                </ShuffleGroup>
+              </ShuffleActivity>
+            </header>
+            {/* Terminal-style content panel for the open page; keyed by path so each level gets a fresh panel and scroll position.
+                Ref used to measure overlap with header/return. */}
+            <PageContent
+              key={pathKey}
+              ref={contentPanelRef}
+              page={currentPage}
+              trail={trail}
+              isReturning={zoomBackRequested}
+              onOpenChild={handleOpenChild}
+              onNavigate={handleNavigate}
+              onReturn={handleReturnClick}
+              stream={true}
+              highlight={searchHighlight?.pathKey === pathKey ? searchHighlight : null}
+            />
+            <button
+              ref={returnRef}
+              type="button"
+              className={`return-button return-button--zoomed ${isCramped ? 'return-button--cramped' : ''} ${zoomBackRequested ? 'return-button--hidden' : ''}`}
+              onClick={handleReturnClick}
+              aria-label={trail.length > 1 ? t('return.toPage', { page: trail[trail.length - 2].label }) : t('return.toMain')}
+            >
+              {t('return')}
+            </button>
+          </>
+        ) : (
+          /* Main view: one label per top-level page that switches to its hover text and navigates on click. */
+          <div
+            ref={clickStackRef}
+            className="click-stack"
+            role="toolbar"
+            aria-label={t('menu.label')}
+            aria-orientation="vertical"
+            onKeyDown={handleStackKeyDown}
           >
-            Return
-          </button>
-        </>
-      ) : (
-        /* Main view: three labels that switch to "CLICK" on hover and navigate on click. */
-        <div className="click-stack">
-          <HoverShuffle defaultText="ABOUT" hoverText="CLICK" onClick={handleAboutClick} />
-          <HoverShuffle defaultText="RESUME" hoverText="CLICK" onClick={handleResumeClick} />
-          <HoverShuffle defaultText="COVER" hoverText="CLICK" onClick={handleCoverClick} />
+            <ShuffleActivity active={!searchOpen}>
+              <ShuffleGroup order="cascade" stagger={LABEL_CASCADE_STAGGER}>
+                {pages.map((page, i) => (
+                  <HoverShuffle
+                    key={page.id}
+                    page={page.id}
+                    index={i}
+                    defaultText={page.label}
+                    hoverText={page.hoverText}
+                    onSelect={handleWordClick}
+                    tabIndex={i === activeLabel ? 0 : -1}
+                    onFocusLabel={setActiveLabel}
+                    onStripLand={sound.tick}
+                    locale={locale.id}
+                  />
+                ))}
+              </ShuffleGroup>
+            </ShuffleActivity>
+          </div>
+        )}
+
+        {/* Top-right corner: language, sound on/off and the theme swatches */}
+        <div className="corner-controls">
+          <LanguageSwitcher localeId={locale.id} onSelect={selectLocale} />
+          {sound.available && <SoundToggle muted={sound.muted} onToggle={sound.toggleMuted} />}
+          <ThemeSwitcher themeId={theme.id} onSelect={selectTheme} />
         </div>
-      )}
-    </div>
+
+        {exportOpen && <ExportPanel terminalRef={terminalRef} onClose={handleExportClose} />}
+
+        {searchOpen && <SearchOverlay onPick={handleSearchPick} onClose={handleSearchClose} />}
+      </div>
+    </LocaleContext.Provider>
   );
 }
 
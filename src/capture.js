@@ -0,0 +1,88 @@
+/**
+ * capture.js — Turning a canvas into downloadable PNG snapshots and WebM recordings
+ *
+ * Used by FaultyTerminal's export handle (snapshot / record) and the export panel:
+ * - canvasToBlob: encodes what is on the canvas right now (call it in the same task as
+ *   the render, before the browser presents and clears the WebGL drawing buffer)
+ * - recordCanvas: renders a fixed number of frames through a callback and records them
+ *   with MediaRecorder. Frames are driven by a timer at the recording's fps, not by
+ *   requestAnimationFrame, so the video has the same frames whatever the display's refresh
+ *   rate; the timer only keeps the pace real-time, since MediaRecorder timestamps frames
+ *   by wall clock.
+ * - downloadBlob: saves a blob under a file name via a temporary link
+ */
+
+/** WebM flavours to try, best first. */
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/** Default recording bitrate (bits/s): the grid is fine noise and blurs badly at low rates. */
+const DEFAULT_BITS_PER_SECOND = 12_000_000;
+
+/** The first WebM type this browser's MediaRecorder supports, or null. */
+export function pickWebmType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+/** Whether recordCanvas can work here (captureStream + MediaRecorder with WebM). */
+export function canRecordCanvas(canvas) {
+  return Boolean(canvas?.captureStream) && pickWebmType() !== null;
+}
+
+/** Resolves with the canvas contents encoded as `type`, or null if the browser can't encode it. */
+export function canvasToBlob(canvas, type = 'image/png') {
+  return new Promise(resolve => canvas.toBlob(blob => resolve(blob), type));
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, Math.max(ms, 0)));
+
+/**
+ * Records `frames` frames of the canvas to WebM. drawFrame(i) must render frame i
+ * synchronously; each frame is then pushed to the stream by hand (captureStream(0)), so
+ * nothing the page draws in between ends up in the video. Resolves with the video blob,
+ * or null when recording isn't supported.
+ */
+export async function recordCanvas(canvas, { frames, fps = 30, drawFrame, bitsPerSecond = DEFAULT_BITS_PER_SECOND }) {
+  const mimeType = pickWebmType();
+  if (!canvas.captureStream || !mimeType) return null;
+
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitsPerSecond });
+  const chunks = [];
+  recorder.ondataavailable = e => {
+    if (e.data.size) chunks.push(e.data);
+  };
+  const stopped = new Promise(resolve => {
+    recorder.onstop = resolve;
+  });
+
+  const frameMs = 1000 / fps;
+  recorder.start();
+  const startedAt = performance.now();
+  try {
+    for (let i = 0; i < frames; i++) {
+      drawFrame(i);
+      track.requestFrame();
+      /* Pace against the start time rather than the previous frame, so timer lateness doesn't add up. */
+      await wait(startedAt + (i + 1) * frameMs - performance.now());
+    }
+  } finally {
+    recorder.stop();
+    await stopped;
+    track.stop();
+  }
+  return new Blob(chunks, { type: 'video/webm' });
+}
+
+/** Offers the blob as a download named `filename`. */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
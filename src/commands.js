@@ -0,0 +1,173 @@
+/**
+ * commands.js — The little shell behind the prompt at the bottom of PageContent
+ *
+ * Every page in the registry (pages.js) is a "file" named <id>.txt, and a page's
+ * sub-pages are its directories (e.g. "projects/" inside RESUME). Commands:
+ *
+ * - help                 list the commands
+ * - ls                   sub-page directories of the open page + every page file
+ * - cat <page>.txt       print a page's lines into the session
+ * - open <page>          go to a page, same zoom path as clicking its label ("..": up a level)
+ * - clear                clear the panel
+ * - pdf                  open the full resume PDF in a new tab
+ * - exit                 same as the "Return" button
+ *
+ * runCommand() is pure: it returns the lines to print and an optional action for
+ * PageContent/App to carry out ({ type: 'navigate', path }, 'return', 'clear' or
+ * { type: 'url', href }), so navigation still goes through App's state machine.
+ *
+ * Command names and page ids stay English in every language, like a real shell; the help
+ * text, messages and the pages `cat` prints are in the site's language.
+ */
+
+import { findPagePath, flattenPages, pagesFor } from './pages';
+import { DEFAULT_LOCALE_ID, translate } from './i18n';
+
+/** Full resume, opened by the `pdf` command (same file as the link on the RESUME page). */
+export const RESUME_PDF_URL = '/LulaITResume.pdf';
+
+/** Symbol shown before typed commands, both on the live prompt and in the echoed session lines. */
+export const PROMPT_SYMBOL = '$';
+
+const FILE_EXT = '.txt';
+const PDF_FILE = 'resume.pdf';
+
+/** Commands listed by `help` (described by the "command.<name>" strings in i18n.js); also the candidates for completing the first word. */
+const COMMANDS = [
+  { name: 'help', usage: 'help' },
+  { name: 'ls', usage: 'ls' },
+  { name: 'cat', usage: 'cat <page>.txt' },
+  { name: 'open', usage: 'open <page>' },
+  { name: 'clear', usage: 'clear' },
+  { name: 'pdf', usage: 'pdf' },
+  { name: 'exit', usage: 'exit' }
+];
+
+/* Command history shared by every panel for this visit, so ↑ still works after moving to another page. */
+const history = [];
+
+/** Records a command for ↑/↓ recall (skipping blanks and immediate repeats). */
+export function pushHistory(input) {
+  const value = input.trim();
+  if (value && history[history.length - 1] !== value) history.push(value);
+}
+
+/** History entry by index (0 = oldest); the prompt walks this with ↑/↓. */
+export function historyAt(index) {
+  return history[index];
+}
+
+export function historyLength() {
+  return history.length;
+}
+
+const output = text => ({ type: 'output', text });
+
+/** Page id from a file or page argument ("about.txt", "projects/", "RESUME" → 'about', 'projects', 'resume'). */
+function pageIdFromArg(arg) {
+  return arg.toLowerCase().replace(/\/+$/, '').replace(/\.txt$/, '');
+}
+
+function listing(trail) {
+  const current = trail[trail.length - 1];
+  const dirs = (current?.children || []).map(child => ({ type: 'dir', text: `${child.id}/`, page: child.id }));
+  const files = [...flattenPages().map(page => `${page.id}${FILE_EXT}`), PDF_FILE];
+  return [...dirs, output(files.join('  '))];
+}
+
+/**
+ * Runs one line typed at the prompt. trail is the open page's registry trail (root first) and
+ * locale the site's language (an id from i18n.js). Returns { lines, action? }.
+ */
+export function runCommand(input, trail, locale = DEFAULT_LOCALE_ID) {
+  const [name = '', ...args] = input.trim().split(/\s+/);
+  const arg = args.join(' ');
+  const command = name.toLowerCase();
+  const t = (key, params) => translate(locale, key, params);
+
+  switch (command) {
+    case '':
+      return { lines: [] };
+
+    case 'help':
+      return {
+        lines: COMMANDS.map(c => output(`${c.usage.padEnd(16)}${t(`command.${c.name}`)}`))
+      };
+
+    case 'ls':
+      return { lines: listing(trail) };
+
+    case 'cat': {
+      if (!arg) return { lines: [output(t('command.catMissing'))] };
+      if (arg.toLowerCase() === PDF_FILE) return { lines: [output(t('command.catBinary', { file: arg }))] };
+      const page = flattenPages(pagesFor(locale)).find(p => p.id === pageIdFromArg(arg));
+      if (!page) return { lines: [output(t('command.catNotFound', { file: arg }))] };
+      /* Its sub-page links are relative to that page, not the open one, so they're printed as plain dir lines. */
+      return { lines: (page.content || []).map(line => (line.type === 'dir' && line.page ? { type: 'dir', text: line.text } : line)) };
+    }
+
+    case 'open': {
+      if (!arg) return { lines: [output(t('command.openMissing'))] };
+      if (arg === '..') return { lines: [], action: { type: 'return' } };
+      if (arg.toLowerCase() === PDF_FILE) return { lines: [], action: { type: 'url', href: RESUME_PDF_URL } };
+      const path = findPagePath(pageIdFromArg(arg));
+      if (!path) return { lines: [output(t('command.openNotFound', { page: arg }))] };
+      return { lines: [], action: { type: 'navigate', path } };
+    }
+
+    case 'clear':
+      return { lines: [], action: { type: 'clear' } };
+
+    case 'pdf':
+      return { lines: [output(t('command.pdfOpening', { file: PDF_FILE }))], action: { type: 'url', href: RESUME_PDF_URL } };
+
+    case 'exit':
+      return { lines: [], action: { type: 'return' } };
+
+    default:
+      return { lines: [output(t('command.notFound', { name }))] };
+  }
+}
+
+/** Longest string every candidate starts with. */
+function commonPrefix(candidates) {
+  return candidates.reduce((prefix, c) => {
+    let i = 0;
+    while (i < prefix.length && prefix[i] === c[i]) i++;
+    return prefix.slice(0, i);
+  });
+}
+
+/**
+ * Tab completion: commands for the first word, page names for `open`, file names for `cat`.
+ * Returns { value, candidates }: value is the input completed as far as it is unambiguous,
+ * candidates lists every match when there is more than one (printed like a shell would).
+ */
+export function complete(input) {
+  const match = /^(\s*)(\S*)(\s+)?(.*)$/.exec(input);
+  const [, lead, word, gap, rest] = match;
+  let pool;
+  let partial;
+  let before;
+
+  if (!gap) {
+    pool = COMMANDS.map(c => c.name);
+    partial = word.toLowerCase();
+    before = lead;
+  } else if (word.toLowerCase() === 'open') {
+    pool = [...flattenPages().map(page => page.id), '..'];
+    partial = rest.toLowerCase();
+    before = `${lead}${word}${gap}`;
+  } else if (word.toLowerCase() === 'cat') {
+    pool = flattenPages().map(page => `${page.id}${FILE_EXT}`);
+    partial = rest.toLowerCase();
+    before = `${lead}${word}${gap}`;
+  } else {
+    return { value: input, candidates: [] };
+  }
+
+  const candidates = pool.filter(c => c.startsWith(partial));
+  if (!candidates.length) return { value: input, candidates: [] };
+  if (candidates.length === 1) return { value: `${before}${candidates[0]} `, candidates: [] };
+  return { value: `${before}${commonPrefix(candidates)}`, candidates };
+}
@@ -0,0 +1,88 @@
+/**
+ * ExportPanel.jsx — Small dev panel for saving the terminal background as PNG or WebM
+ *
+ * Hidden by default: App toggles it with Alt+Shift+E. Pick a viewport size and pixel
+ * ratio, then "PNG" saves a snapshot of the current frame and "WebM" records a clip
+ * (with a zoom toward the centre and back, unless unticked) through FaultyTerminal's
+ * export handle. The file is downloaded straight away.
+ *
+ * Props:
+ * - terminalRef: ref to the FaultyTerminal handle (snapshot / record)
+ * - onClose(): the panel should close
+ */
+
+import { memo, useState, useCallback } from 'react';
+import { downloadBlob } from '../capture';
+import './ExportPanel.css';
+
+/** Initial form values: a 2× README / social banner and a short clip. */
+const DEFAULTS = { width: 1200, height: 630, pixelRatio: 2, duration: 4, fps: 30, zoom: true };
+
+const ExportPanel = memo(function ExportPanel({ terminalRef, onClose }) {
+  const [settings, setSettings] = useState(DEFAULTS);
+  const [status, setStatus] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const handleChange = useCallback(e => {
+    const { name, type, checked, value } = e.target;
+    setSettings(current => ({ ...current, [name]: type === 'checkbox' ? checked : Number(value) }));
+  }, []);
+
+  /** Runs one export and downloads the result, reporting progress / failure in the status line. */
+  const runExport = useCallback(async (kind, extension) => {
+    const terminal = terminalRef.current;
+    const { width, height, pixelRatio, duration, fps, zoom } = settings;
+    setBusy(true);
+    setStatus(kind === 'record' ? `Recording ${duration}s…` : 'Rendering…');
+    const blob =
+      kind === 'record'
+        ? await terminal?.record({ width, height, pixelRatio, duration: duration * 1000, fps, zoom: zoom && {} })
+        : await terminal?.snapshot({ width, height, pixelRatio });
+    setBusy(false);
+    if (!blob) {
+      setStatus(kind === 'record' ? 'Recording not supported here' : 'Nothing to export (no WebGL, or rendering offscreen)');
+      return;
+    }
+    downloadBlob(blob, `terminal-${Math.round(width * pixelRatio)}x${Math.round(height * pixelRatio)}.${extension}`);
+    setStatus(`Saved ${Math.round(blob.size / 1024)} KB`);
+  }, [terminalRef, settings]);
+
+  const handleSnapshot = useCallback(() => runExport('snapshot', 'png'), [runExport]);
+  const handleRecord = useCallback(() => runExport('record', 'webm'), [runExport]);
+
+  const field = (name, label, props) => (
+    <label className="export-panel__field">
+      <span>{label}</span>
+      <input type="number" name={name} value={settings[name]} onChange={handleChange} disabled={busy} {...props} />
+    </label>
+  );
+
+  return (
+    <section className="export-panel" aria-label="Export background">
+      <div className="export-panel__title">
+        <span>export</span>
+        <button type="button" className="export-panel__close" onClick={onClose} aria-label="Close export panel">
+          ×
+        </button>
+      </div>
+      <div className="export-panel__grid">
+        {field('width', 'width', { min: 16, max: 4096 })}
+        {field('height', 'height', { min: 16, max: 4096 })}
+        {field('pixelRatio', 'ratio', { min: 1, max: 4, step: 0.5 })}
+        {field('duration', 'secs', { min: 1, max: 30 })}
+        {field('fps', 'fps', { min: 10, max: 60 })}
+        <label className="export-panel__field export-panel__field--check">
+          <input type="checkbox" name="zoom" checked={settings.zoom} onChange={handleChange} disabled={busy} />
+          <span>zoom</span>
+        </label>
+      </div>
+      <div className="export-panel__actions">
+        <button type="button" onClick={handleSnapshot} disabled={busy}>PNG</button>
+        <button type="button" onClick={handleRecord} disabled={busy}>WebM</button>
+      </div>
+      <p className="export-panel__status" role="status">{status}</p>
+    </section>
+  );
+});
+
+export default ExportPanel;
@@ -6,274 +6,105 @@
  *
  * Behaviour:
  * - On load: optional cell-by-cell fade-in (pageLoadAnimation).
- * - Mouse: optional glow/ripple around cursor (mouseReact, mouseStrength).
+ * - Pointer: optional glow/ripple around the cursor (mouseReact, mouseStrength), through
+ *   Pointer Events so mouse, pen and touch all work. Each finger on a touch screen gets
+ *   its own glow point (up to MAX_POINTERS, via the uPointers uniform array); extra
+ *   fingers' glows fade out when they lift.
  * - Zoom: when App sets transitionRequested + transitionTarget, the shader
- *   zooms toward that point (uGatherProgress 0 → 1 over 1.1s). When App sets
- *   zoomBackRequested, it zooms back (uGatherProgress 1 → 0) and calls
- *   onZoomBackComplete when done.
+ *   zooms toward that point (uGatherProgress from its current value to
+ *   transitionLevel over 1.1s; 1 for a top-level page, 2+ for sub-pages, each
+ *   level zooming deeper). When App sets zoomBackRequested, it zooms back
+ *   (uGatherProgress → 0) and calls onZoomBackComplete when done.
+ *
+ * Message: `message` = { text, position, duration } spells text in the digit grid, one
+ *   character per cell on the row through `position` ({ x, y } in 0–1, origin bottom-left,
+ *   or 'target' to follow the zoom point), centred on it. Glyphs come from an atlas texture
+ *   (glyphAtlas.js); the rest of the grid keeps its noise. The text fades in, stays for
+ *   `duration` ms (0 = until the prop changes) and fades out; null clears it. Not shown by
+ *   the static fallback.
+ *
+ * Deterministic frames (visual tests, repeatable captures):
+ * - seed: a whole number that fixes the shader's starting time offset (otherwise random).
+ *   Read when the renderer is created.
+ * - clock="manual": no animation loop; the handle's setTime(ms) / step(dtMs = 1000/60)
+ *   move a clock that starts at 0 on mount and render one frame synchronously. Shader time,
+ *   the page-load fade, zooms, tweens and messages all follow that clock, pointer input is
+ *   ignored and the quality governor doesn't run, so the same calls give the same frames.
+ *   Switching back to "realtime" resumes the loop.
+ *
+ * Export (social posts, README banners), also on the handle:
+ * - snapshot({ width, height, pixelRatio, type }) resolves with a PNG of the current frame,
+ *   laid out for a width × height viewport (default: the window) at pixelRatio.
+ * - record({ duration, fps, width, height, pixelRatio, zoom }) records to WebM through
+ *   MediaRecorder (capture.js), with a zoom in and back out unless zoom is false.
+ * - Both draw at the best quality tier on the manual clock (frames step by exactly
+ *   1000 / fps, not at the display's RAF rate) and resolve null in the static fallback
+ *   and in offscreen mode.
+ *   CSS on the canvas (the paper theme's invert filter) isn't part of the file.
+ *
+ * Imperative handle (ref), for driving the zoom without the boolean props:
+ * - zoomTo({ x, y }, { duration, easing, level }) zooms toward a point (0–1, origin
+ *   bottom-left) to `level` (default 1); zoomBack({ duration, easing }) returns to 0.
+ * - cancel() stops the zoom where it is.
+ * - Each returns a Promise: zoomTo / zoomBack resolve true when they finish and false if
+ *   cancelled or replaced by another call; cancel resolves with the progress it stopped at.
+ * - gatherProgress reads the current uGatherProgress; onGatherProgress(value) is called
+ *   whenever it changes (every frame of a zoom), e.g. to keep sound in step with it.
+ * - Every zoom starts from the current progress, so a zoom-back during a zoom-in reverses
+ *   from wherever it has got to instead of snapping. easing is a function (t → t) or
+ *   'linear' | 'easeOutCubic' | 'easeInOutCubic'; the defaults are 1.1s and easeOutCubic.
+ * The props path (transitionRequested / zoomBackRequested) is built on the same calls.
+ *
+ * Static fallback:
+ * - When WebGL isn't available (or the context can't be created) or the user prefers
+ *   reduced motion, no canvas is created. A CSS scanline background tinted with the
+ *   same `tint` is shown instead, and the zooms become cross-fades (the backdrop dims as
+ *   uGatherProgress rises) with the same timing, promises and callbacks.
+ *
+ * Live props:
+ * - The renderer, program and canvas are created once per mount. Later prop changes are
+ *   written straight to the uniforms (or read by the loop: pause, timeScale, scale, ...),
+ *   so theming or animating a prop never rebuilds the WebGL context.
+ * - tween: a duration in ms (for every uniform-backed prop) or { brightness: 600, tint: 1200 }
+ *   per prop; changed values then blend to the new one (e.g. fade brightness, blend tint).
+ *
+ * Post-processing:
+ * - The grid shader draws only the digits and their glow, into a texture. `passes` is the
+ *   ordered list of full-screen passes run over it (see postPasses.js for the format); the
+ *   default, BUILTIN_PASSES, is scanlines → chromatic aberration → tint → dither,
+ *   driven by the props of the same names (curvature bends the grid shader's UVs instead,
+ *   so it needs no oversized targets). Add effects by extending the list, e.g.
+ *   passes={[...BUILTIN_PASSES, vignettePass]}; keep the array stable, since a new one
+ *   rebuilds the pass programs (never the renderer).
+ *
+ * Offscreen (offscreen prop; switching it rebuilds the renderer):
+ * - The canvas is handed to a Web Worker (terminal.worker.js) with transferControlToOffscreen;
+ *   the worker runs the renderer core (terminalRenderer.js, shared with the in-thread path)
+ *   and its loop, so the shader doesn't compete with GSAP, layout reads and React renders.
+ *   This side posts pointer, resize, visibility, prop and zoom messages and gets
+ *   uGatherProgress, finished zooms and quality tiers back; the handle works the same.
+ * - Falls back to the in-thread renderer when OffscreenCanvas can't get a WebGL context (or
+ *   the worker fails), and for custom `passes`, whose functions can't be posted. zoomTo /
+ *   zoomBack easing must be a name there; setTime / step render asynchronously.
  *
  * Performance:
- * - Renders at 88% resolution then scales canvas to full size (fewer pixels).
- * - DPR capped at 1.5. Antialiasing off.
+ * - Renders at a fraction of the window size then scales the canvas to full size (fewer
+ *   pixels), with the DPR capped. Antialiasing off.
+ * - Adaptive quality (adaptiveQuality, on by default): the loop tracks frame times and a
+ *   governor (quality.js) steps the resolution scale, DPR cap, chromatic aberration and
+ *   the 9-tap glow between tiers within qualityRange. onQualityChange reports each tier;
+ *   showQualityOverlay draws a small debug readout of the tier and frame time.
  * - When the tab is hidden (Page Visibility API), the loop runs at ~10 fps
  *   instead of 60 fps. Resize is throttled.
  */
 
-import { Renderer, Program, Mesh, Color, Triangle } from 'ogl';
-import { useEffect, useRef, useMemo, useCallback } from 'react';
+import { forwardRef, useEffect, useImperativeHandle, useRef, useMemo, useCallback, useState } from 'react';
+import useReducedMotion from '../hooks/useReducedMotion';
+import { canRecordCanvas, canvasToBlob, recordCanvas } from '../capture';
+import { BUILTIN_PASSES } from '../postPasses';
+import { applyPointer, createPointerSlots, createTerminalRenderer, resolveEasing, stepGather } from '../terminalRenderer';
 import './FaultyTerminal.css';
 
-/* -----------------------------------------------------------------------------
-   Vertex shader
-   -----------------------------------------------------------------------------
-   Draws a full-screen triangle; passes through UVs (0–1) for the fragment shader.
-   No transforms; the fragment shader does all the work in UV space.
-   ----------------------------------------------------------------------------- */
-
-const vertexShader = `
-attribute vec2 position;
-attribute vec2 uv;
-varying vec2 vUv;
-void main() {
-  vUv = uv;
-  gl_Position = vec4(position, 0.0, 1.0);
-}
-`;
-
-/* -----------------------------------------------------------------------------
-   Fragment shader (GLSL)
-   -----------------------------------------------------------------------------
-   For each pixel:
-   1. Transforms UV (optionally barrel distortion).
-   2. When zooming (uGatherProgress > 0), warps UV and mouse so the "gather"
-      effect is centered on the click point and stays in sync.
-   3. Computes a "digit" grid: each cell's brightness comes from pattern()
-      (FBM noise) plus optional mouse glow and optional page-load fade.
-   4. Adds scanlines, horizontal displacement (glitch), and optional chromatic
-      aberration, tint, dither.
-   ----------------------------------------------------------------------------- */
-
-const fragmentShader = `
-precision mediump float;
-
-varying vec2 vUv;
-
-uniform float iTime;
-uniform vec3  iResolution;
-uniform float uScale;
-
-uniform vec2  uGridMul;
-uniform float uDigitSize;
-uniform float uScanlineIntensity;
-uniform float uGlitchAmount;
-uniform float uFlickerAmount;
-uniform float uNoiseAmp;
-uniform float uChromaticAberration;
-uniform float uDither;
-uniform float uCurvature;
-uniform vec3  uTint;
-uniform vec2  uMouse;
-uniform float uMouseStrength;
-uniform float uUseMouse;
-uniform float uPageLoadProgress;
-uniform float uUsePageLoadAnimation;
-uniform float uBrightness;
-uniform float uGatherProgress;
-uniform vec2  uTargetPos;
-
-float time;
-float grainTime;
-vec2 mouseSamplingPos;
-
-float hash21(vec2 p){
-  p = fract(p * 234.56);
-  p += dot(p, p + 34.56);
-  return fract(p.x * p.y);
-}
-
-float noise(vec2 p)
-{
-  return sin(p.x * 10.0) * sin(p.y * (3.0 + sin(grainTime * 0.090909))) + 0.2; 
-}
-
-mat2 rotate(float angle)
-{
-  float c = cos(angle);
-  float s = sin(angle);
-  return mat2(c, -s, s, c);
-}
-
-float fbm(vec2 p)
-{
-  p *= 1.1;
-  float f = 0.0;
-  float amp = 0.5 * uNoiseAmp;
-  
-  mat2 modify0 = rotate(grainTime * 0.02);
-  f += amp * noise(p);
-  p = modify0 * p * 2.0;
-  amp *= 0.454545;
-  
-  mat2 modify1 = rotate(grainTime * 0.02);
-  f += amp * noise(p);
-  p = modify1 * p * 2.0;
-  amp *= 0.454545;
-  
-  mat2 modify2 = rotate(grainTime * 0.08);
-  f += amp * noise(p);
-  
-  return f;
-}
-
-float pattern(vec2 p, out vec2 q, out vec2 r) {
-  vec2 offset1 = vec2(1.0);
-  vec2 offset0 = vec2(0.0);
-  mat2 rot01 = rotate(0.1 * grainTime);
-  mat2 rot1 = rotate(0.1);
-  
-  q = vec2(fbm(p + offset1), fbm(rot01 * p + offset1));
-  r = vec2(fbm(rot1 * q + offset0), fbm(q + offset0));
-  return fbm(p + r);
-}
-
-float digit(vec2 p){
-    vec2 grid = uGridMul * 15.0;
-    vec2 s = floor(p * grid) / grid;
-    p = p * grid;
-    vec2 q, r;
-    float intensity = pattern(s * 0.1, q, r) * 1.3 - 0.03;
-    
-    if(uUseMouse > 0.5){
-        vec2 mouseWorld = (uGatherProgress > 0.001) ? mouseSamplingPos : (uMouse * uScale);
-        float distToMouse = distance(s, mouseWorld);
-        float mouseInfluence = exp(-distToMouse * 8.0) * uMouseStrength * 10.0;
-        intensity += mouseInfluence;
-        
-        float ripple = sin(distToMouse * 20.0 - iTime * 5.0) * 0.1 * mouseInfluence;
-        intensity += ripple;
-    }
-    
-    if(uUsePageLoadAnimation > 0.5){
-        float cellRandom = fract(sin(dot(s, vec2(12.9898, 78.233))) * 43758.5453);
-        float cellDelay = cellRandom * 0.8;
-        float cellProgress = clamp((uPageLoadProgress - cellDelay) / 0.2, 0.0, 1.0);
-        
-        float fadeAlpha = smoothstep(0.0, 1.0, cellProgress);
-        intensity *= fadeAlpha;
-    }
-    
-    p = fract(p);
-    p *= uDigitSize;
-    
-    float px5 = p.x * 5.0;
-    float py5 = (1.0 - p.y) * 5.0;
-    float x = fract(px5);
-    float y = fract(py5);
-    
-    float i = floor(py5) - 2.0;
-    float j = floor(px5) - 2.0;
-    float n = i * i + j * j;
-    float f = n * 0.0625;
-    
-    float isOn = step(0.1, intensity - f);
-    float brightness = isOn * (0.2 + y * 0.8) * (0.75 + x * 0.25);
-    
-    return step(0.0, p.x) * step(p.x, 1.0) * step(0.0, p.y) * step(p.y, 1.0) * brightness;
-}
-
-float onOff(float a, float b, float c)
-{
-  return step(c, sin(iTime + a * cos(iTime * b))) * uFlickerAmount;
-}
-
-float displace(vec2 look)
-{
-    float y = look.y - mod(iTime * 0.25, 1.0);
-    float window = 1.0 / (1.0 + 50.0 * y * y);
-    return sin(look.y * 20.0 + iTime) * 0.0125 * onOff(4.0, 2.0, 0.8) * (1.0 + cos(iTime * 60.0)) * window;
-}
-
-vec3 getColor(vec2 p){
-    
-    float bar = step(mod(p.y + grainTime * 20.0, 1.0), 0.2) * 0.4 + 1.0;
-    bar *= uScanlineIntensity;
-    
-    float displacement = displace(p);
-    p.x += displacement;
-
-    if (uGlitchAmount != 1.0) {
-      float extra = displacement * (uGlitchAmount - 1.0);
-      p.x += extra;
-    }
-
-    float middle = digit(p);
-    
-    const float off = 0.002;
-    float sum = digit(p + vec2(-off, -off)) + digit(p + vec2(0.0, -off)) + digit(p + vec2(off, -off)) +
-                digit(p + vec2(-off, 0.0)) + digit(p + vec2(0.0, 0.0)) + digit(p + vec2(off, 0.0)) +
-                digit(p + vec2(-off, off)) + digit(p + vec2(0.0, off)) + digit(p + vec2(off, off));
-    
-    vec3 baseColor = vec3(0.9) * middle + sum * 0.1 * vec3(1.0) * bar;
-    return baseColor;
-}
-
-vec2 barrel(vec2 uv){
-  vec2 c = uv * 2.0 - 1.0;
-  float r2 = dot(c, c);
-  c *= 1.0 + uCurvature * r2;
-  return c * 0.5 + 0.5;
-}
-
-void main() {
-    time = iTime * 0.333333;
-    grainTime = (uGatherProgress > 0.5) ? (iTime * 0.005) : time;
-    vec2 uv = vUv;
-
-    if(uCurvature != 0.0){
-      uv = barrel(uv);
-    }
-
-    vec2 p = uv * uScale;
-    vec2 gridVec = uGridMul * 15.0;
-
-    if(uGatherProgress > 0.001){
-      vec2 targetWorld = uTargetPos * uScale;
-      float prog = clamp(uGatherProgress, 0.0, 0.9999) * 0.58;
-      vec2 s = (p - targetWorld * prog) / (1.0 - prog);
-      vec2 s_cell = floor(s * gridVec) / gridVec;
-      vec2 s_new = s_cell + (targetWorld - s_cell) * prog;
-      vec2 cellCenter = s_cell + 0.5 / gridVec;
-      p = cellCenter + (p - s_new);
-      mouseSamplingPos = uMouse * uScale;
-      vec2 s_m = (mouseSamplingPos - targetWorld * prog) / (1.0 - prog);
-      vec2 s_cell_m = floor(s_m * gridVec) / gridVec;
-      vec2 s_new_m = s_cell_m + (targetWorld - s_cell_m) * prog;
-      vec2 cellCenter_m = s_cell_m + 0.5 / gridVec;
-      mouseSamplingPos = cellCenter_m + (mouseSamplingPos - s_new_m);
-    } else {
-      mouseSamplingPos = uMouse * uScale;
-    }
-
-    vec3 col = getColor(p);
-
-    if(uChromaticAberration != 0.0){
-      vec2 ca = vec2(uChromaticAberration) / iResolution.xy;
-      col.r = getColor(p + ca).r;
-      col.b = getColor(p - ca).b;
-    }
-
-    col *= uTint;
-    col *= uBrightness;
-
-    if(uDither > 0.0){
-      float rnd = hash21(gl_FragCoord.xy);
-      col += (rnd - 0.5) * (uDither * 0.003922);
-    }
-
-    gl_FragColor = vec4(col, 1.0);
-}
-`;
-
 /* -----------------------------------------------------------------------------
    Helpers
    ----------------------------------------------------------------------------- */
@@ -290,22 +121,73 @@ function hexToRgb(hex) {
   return [((num >> 16) & 255) / 255, ((num >> 8) & 255) / 255, (num & 255) / 255];
 }
 
-/** Duration in ms for both zoom-in and zoom-back transitions (must match App.css header return duration). */
+/** Default duration in ms for both zoom-in and zoom-back transitions (must match App.css header return duration). */
 const GATHER_DURATION_MS = 1100;
 
-function easeOutCubic(t) {
-  return 1 - Math.pow(1 - t, 3);
+let webglSupport = null;
+
+/** Whether a WebGL context can be created at all (checked once, on a throwaway canvas). */
+function supportsWebGL() {
+  if (webglSupport === null) {
+    try {
+      const canvas = document.createElement('canvas');
+      webglSupport = !!(window.WebGLRenderingContext && (canvas.getContext('webgl2') || canvas.getContext('webgl')));
+    } catch {
+      webglSupport = false;
+    }
+  }
+  return webglSupport;
+}
+
+let offscreenSupport = null;
+
+/** Whether a canvas can be handed to a worker and get a WebGL context there (checked once, like supportsWebGL). */
+function supportsOffscreenWebGL() {
+  if (offscreenSupport === null) {
+    try {
+      const canvas = typeof OffscreenCanvas === 'function' && typeof Worker === 'function' ? new OffscreenCanvas(1, 1) : null;
+      offscreenSupport =
+        typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function' &&
+        !!canvas &&
+        !!(canvas.getContext('webgl2') || canvas.getContext('webgl'));
+    } catch {
+      offscreenSupport = false;
+    }
+  }
+  return offscreenSupport;
+}
+
+/** What applyPointer needs from a PointerEvent, with the position in 0–1 (origin bottom-left); plain data, so it can be posted. */
+function pointerInput(e) {
+  return {
+    type: e.type,
+    pointerId: e.pointerId,
+    pointerType: e.pointerType,
+    isPrimary: e.isPrimary,
+    x: e.clientX / window.innerWidth,
+    y: 1 - e.clientY / window.innerHeight
+  };
 }
 
-function easeInOutCubic(t) {
-  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+/** The window as the renderer's viewport. */
+function windowViewport() {
+  return { width: window.innerWidth, height: window.innerHeight, dpr: window.devicePixelRatio || 1 };
+}
+
+/** Deterministic 0–100 shader time offset for a seed, scrambled so nearby seeds don't look alike. */
+function seedOffset(seed) {
+  let h = Math.imul((seed | 0) ^ 0x9e3779b9, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return ((h >>> 0) / 4294967296) * 100;
 }
 
 /* -----------------------------------------------------------------------------
    Component
    ----------------------------------------------------------------------------- */
 
-export default function FaultyTerminal({
+const FaultyTerminal = forwardRef(function FaultyTerminal({
   scale = 1,
   gridMul = [2, 1],
   digitSize = 1.5,
@@ -324,267 +206,656 @@ export default function FaultyTerminal({
   pageLoadAnimation = true,
   brightness = 1,
   transitionRequested = false,
+  transitionLevel = 1,
   transitionTarget = null,
   onTransitionComplete,
   zoomBackRequested = false,
   onZoomBackComplete,
+  onGatherProgress,
+  adaptiveQuality = true,
+  qualityRange,
+  onQualityChange,
+  showQualityOverlay = false,
+  tween = 0,
+  message = null,
+  seed,
+  clock = 'realtime',
+  passes = BUILTIN_PASSES,
+  offscreen = false,
   className,
   style,
   ...rest
-}) {
+}, ref) {
   /* Refs for WebGL and animation; we keep callback/request state in refs so the RAF loop always sees latest values without re-running the effect. */
   const containerRef = useRef(null);
-  const programRef = useRef(null);
-  const rendererRef = useRef(null);
-  const mouseRef = useRef({ x: 0.5, y: 0.5 });
-  const smoothMouseRef = useRef({ x: 0.5, y: 0.5 });
-  const frozenTimeRef = useRef(0);
+  /* Glow points, one per uPointers slot (see createPointerSlots); the worker keeps its own in offscreen mode */
+  const pointersRef = useRef(createPointerSlots());
   const rafRef = useRef(0);
-  const loadAnimationStartRef = useRef(0);
-  const timeOffsetRef = useRef(Math.random() * 100);
-  const transitionStartRef = useRef(0);
-  const transitionRequestedRef = useRef(false);
+  const timeOffsetRef = useRef(seed != null ? seedOffset(seed) : Math.random() * 100);
+  /* clock="manual": current clock time (ms since mount), set by setTime / step */
+  const manualTimeRef = useRef(0);
+  /* Set by the WebGL effect: renders one frame at a clock time / restarts the RAF loop */
+  const renderAtRef = useRef(null);
+  const resumeLoopRef = useRef(null);
+  /* Set by the offscreen effect: starts / cancels a zoom in the worker, and sends it the loop's props */
+  const workerRef = useRef(null);
+  const postLiveRef = useRef(null);
+  /* uGatherProgress and the zoom animating it ({ from, to, start, duration, easing, resolve } or null) */
+  const gatherRef = useRef({ value: 0, anim: null });
+  /* Point the zoom gathers toward (0–1, origin bottom-left) */
+  const gatherTargetRef = useRef({ x: 0.5, y: 0.5 });
+  /* Set while the static fallback is shown: makes sure its ticker is running when a zoom starts */
+  const kickFallbackRef = useRef(null);
   const transitionTargetRef = useRef(null);
-  const zoomBackStartRef = useRef(-1);
-  const zoomBackRequestedRef = useRef(false);
   const visibilityIntervalRef = useRef(null);
   const onTransitionCompleteRef = useRef(onTransitionComplete);
   const onZoomBackCompleteRef = useRef(onZoomBackComplete);
+  const onGatherProgressRef = useRef(onGatherProgress);
+  /* Last uGatherProgress passed to onGatherProgress */
+  const reportedGatherRef = useRef(0);
+  const onQualityChangeRef = useRef(onQualityChange);
+  const qualityRangeRef = useRef(qualityRange);
+  const passesRef = useRef(passes);
+  /* Set by the WebGL effect: swaps in a new list of post-processing passes */
+  const setPassesRef = useRef(null);
+  /* Set by the WebGL effect: moves the governor's range and applies the resulting tier */
+  const setQualityRangeRef = useRef(null);
+  const qualityOverlayRef = useRef(null);
   onTransitionCompleteRef.current = onTransitionComplete;
   onZoomBackCompleteRef.current = onZoomBackComplete;
-  transitionRequestedRef.current = transitionRequested;
+  onGatherProgressRef.current = onGatherProgress;
+  onQualityChangeRef.current = onQualityChange;
+  qualityRangeRef.current = qualityRange;
+  passesRef.current = passes;
   transitionTargetRef.current = transitionTarget;
-  zoomBackRequestedRef.current = zoomBackRequested;
+
+  const reducedMotion = useReducedMotion();
+  /* Set when the Renderer throws despite supportsWebGL() (e.g. context creation blocked or lost) */
+  const [rendererFailed, setRendererFailed] = useState(false);
+  const fallback = reducedMotion || rendererFailed || !supportsWebGL();
+  /* Set when the worker couldn't create its renderer (or failed to load): offscreen mode falls back to this thread */
+  const [offscreenFailed, setOffscreenFailed] = useState(false);
+  /* Custom passes hold functions, which can't be posted to a worker; only the built-in list renders offscreen. */
+  const inWorker = offscreen && passes === BUILTIN_PASSES && !offscreenFailed && supportsOffscreenWebGL();
 
   const tintVec = useMemo(() => hexToRgb(tint), [tint]);
   const ditherValue = useMemo(() => (typeof dither === 'boolean' ? (dither ? 1 : 0) : dither), [dither]);
 
-  /** Writes current mouse position (0–1, origin bottom-left) into mouseRef for the RAF loop. */
-  const handleMouseMove = useCallback(e => {
-    const x = e.clientX / window.innerWidth;
-    const y = 1 - e.clientY / window.innerHeight;
-    mouseRef.current = { x, y };
+  /* Values for the PROP_UNIFORMS props; the WebGL effect starts from these and a sync effect pushes changes. */
+  const uniformValues = useMemo(
+    () => ({
+      gridMul,
+      digitSize,
+      scanlineIntensity,
+      glitchAmount,
+      flickerAmount,
+      noiseAmp,
+      chromaticAberration,
+      dither: ditherValue,
+      curvature,
+      tint: tintVec,
+      mouseStrength,
+      brightness
+    }),
+    [gridMul, digitSize, scanlineIntensity, glitchAmount, flickerAmount, noiseAmp, chromaticAberration, ditherValue, curvature, tintVec, mouseStrength, brightness]
+  );
+  const uniformValuesRef = useRef(uniformValues);
+  const tweenRef = useRef(tween);
+  /* Props the loop reads every frame rather than through a uniform */
+  const liveRef = useRef(null);
+  /* Latest `message` prop, and the WebGL effect's function that shows it */
+  const messageRef = useRef(message);
+  const showMessageRef = useRef(null);
+  /* Set by the WebGL effect: compares new uniform values with the current ones and writes or tweens them */
+  const syncUniformsRef = useRef(null);
+  uniformValuesRef.current = uniformValues;
+  tweenRef.current = tween;
+  messageRef.current = message;
+  liveRef.current = { scale, timeScale, pause, mouseReact, pageLoadAnimation, adaptiveQuality, clock, qualityOverlay: showQualityOverlay };
+  /* True while snapshot / record drive the frames; the WebGL effect puts its export hooks in exporterRef */
+  const exportingRef = useRef(false);
+  const exporterRef = useRef(null);
+  /** Whether frames follow manualTimeRef (clock="manual" or an export running) rather than requestAnimationFrame. */
+  const usesManualClock = useCallback(() => liveRef.current.clock === 'manual' || exportingRef.current, []);
+
+  /** Sets uGatherProgress as drawn and reports it if it changed (not a recording's own zoom). */
+  const reportGather = useCallback(value => {
+    gatherRef.current.value = value;
+    if (!exportingRef.current && value !== reportedGatherRef.current) {
+      reportedGatherRef.current = value;
+      onGatherProgressRef.current?.(value);
+    }
   }, []);
 
+  /** Advances the zoom to clock time t and reports the resulting uGatherProgress, which it returns. */
+  const advanceGather = useCallback(t => {
+    const gather = gatherRef.current;
+    stepGather(gather, t);
+    reportGather(gather.value);
+    return gather.value;
+  }, [reportGather]);
+
+  /** Pointer Events → glow slots (applyPointer), unless frames follow the manual clock. */
+  const handlePointer = useCallback(e => {
+    if (usesManualClock()) return;
+    applyPointer(pointersRef.current, pointerInput(e));
+  }, [usesManualClock]);
+
+  /* In-thread renderer (the default, and offscreen mode's fallback): the core from terminalRenderer.js, driven by this effect's loop. */
   useEffect(() => {
     const ctn = containerRef.current;
-    if (!ctn) return;
-
-    const dpr = Math.min(window.devicePixelRatio || 1, 1.5);
-    const renderer = new Renderer({ dpr, antialias: false });
-    rendererRef.current = renderer;
-    const gl = renderer.gl;
-    gl.clearColor(0, 0, 0, 1);
-
-    const geometry = new Triangle(gl);
-
-    const program = new Program(gl, {
-      vertex: vertexShader,
-      fragment: fragmentShader,
-      uniforms: {
-        iTime: { value: 0 },
-        iResolution: { value: new Color(gl.canvas.width, gl.canvas.height, gl.canvas.width / gl.canvas.height) },
-        uScale: { value: scale },
-        uGridMul: { value: new Float32Array(gridMul) },
-        uDigitSize: { value: digitSize },
-        uScanlineIntensity: { value: scanlineIntensity },
-        uGlitchAmount: { value: glitchAmount },
-        uFlickerAmount: { value: flickerAmount },
-        uNoiseAmp: { value: noiseAmp },
-        uChromaticAberration: { value: chromaticAberration },
-        uDither: { value: ditherValue },
-        uCurvature: { value: curvature },
-        uTint: { value: new Color(tintVec[0], tintVec[1], tintVec[2]) },
-        uMouse: { value: new Float32Array([smoothMouseRef.current.x, smoothMouseRef.current.y]) },
-        uMouseStrength: { value: mouseStrength },
-        uUseMouse: { value: mouseReact ? 1 : 0 },
-        uPageLoadProgress: { value: pageLoadAnimation ? 0 : 1 },
-        uUsePageLoadAnimation: { value: pageLoadAnimation ? 1 : 0 },
-        uBrightness: { value: brightness },
-        uGatherProgress: { value: 0 },
-        uTargetPos: { value: new Float32Array([0.5, 0.5]) }
-      }
-    });
-    programRef.current = program;
-
-    const mesh = new Mesh(gl, { geometry, program });
-
-    /* Render at 88% of window size, then set canvas display size to full window so we draw fewer pixels. */
-    const RESOLUTION_SCALE = 0.88;
-    const resize = () => {
-      const w = window.innerWidth;
-      const h = window.innerHeight;
-      const rw = Math.ceil(w * RESOLUTION_SCALE);
-      const rh = Math.ceil(h * RESOLUTION_SCALE);
-
-      renderer.setSize(rw, rh);
-      renderer.dpr = dpr;
-      const canvas = gl.canvas;
-      if (canvas.style) {
-        canvas.style.width = w + 'px';
-        canvas.style.height = h + 'px';
-      }
-
-      program.uniforms.iResolution.value.set(w, h, w / h);
-
-      const referenceWidth = 1920;
-      const referenceHeight = 1080;
-      const scaleFactor = Math.min(w / referenceWidth, h / referenceHeight) * dpr;
+    if (!ctn || fallback || inWorker) return;
+
+    /** Start time for something beginning now: the manual clock's time, or null to take it from the next frame. */
+    const clockStart = () => (usesManualClock() ? manualTimeRef.current : null);
+    const clockNow = () => (usesManualClock() ? manualTimeRef.current : performance.now());
+
+    let terminal;
+    try {
+      terminal = createTerminalRenderer({
+        viewport: windowViewport(),
+        /* Getters: liveRef is replaced on every render, and a recording swaps in its own zoom target */
+        state: {
+          get live() {
+            return liveRef.current;
+          },
+          pointers: pointersRef.current,
+          get gatherTarget() {
+            return gatherTargetRef.current;
+          }
+        },
+        advanceGather,
+        passes: passesRef.current,
+        qualityRange: qualityRangeRef.current,
+        uniformValues: uniformValuesRef.current,
+        timeOffset: timeOffsetRef.current,
+        manual: usesManualClock(),
+        onQualityChange: tier => onQualityChangeRef.current?.(tier),
+        onStats: text => {
+          if (qualityOverlayRef.current) qualityOverlayRef.current.textContent = text;
+        }
+      });
+    } catch {
+      setRendererFailed(true);
+      return;
+    }
 
-      program.uniforms.uScale.value = scale * scaleFactor;
-    };
+    terminal.showMessage(messageRef.current, clockStart());
+    showMessageRef.current = next => terminal.showMessage(next, clockStart());
+    syncUniformsRef.current = values => terminal.syncUniforms(values, tweenRef.current, clockNow());
+    setPassesRef.current = terminal.setPasses;
+    setQualityRangeRef.current = terminal.setQualityRange;
 
-    resize();
     let resizeTick = 0;
     const throttledResize = () => {
       const t = performance.now();
       if (t - resizeTick < 120) return;
       resizeTick = t;
-      resize();
+      terminal.setViewport(windowViewport());
     };
     window.addEventListener('resize', throttledResize);
 
+    /** One frame at clock time t. Called by the RAF loop, or directly by setTime / step and exports. */
+    const update = t => terminal.render(t, usesManualClock());
+
     /**
-     * Main loop: updates time, page-load progress, mouse smoothing, zoom/zoom-back state, then renders.
-     * When the tab is hidden we don't schedule the next RAF; the visibility interval calls update every 100ms instead.
+     * Realtime loop. When the tab is hidden we don't schedule the next RAF; the visibility interval calls it every 100ms
+     * instead. It stops by itself once frames follow the manual clock, so a pending callback can't render a stray frame.
      */
-    const update = t => {
+    const loop = t => {
       rafRef.current = 0;
-      if (typeof document !== 'undefined' && !document.hidden) {
-        rafRef.current = requestAnimationFrame(update);
-      }
-
-      if (pageLoadAnimation && loadAnimationStartRef.current === 0) {
-        loadAnimationStartRef.current = t;
-      }
-
-      if (!pause) {
-        const elapsed = (t * 0.001 + timeOffsetRef.current) * timeScale;
-        program.uniforms.iTime.value = elapsed;
-        frozenTimeRef.current = elapsed;
-      } else {
-        program.uniforms.iTime.value = frozenTimeRef.current;
-      }
-
-      if (pageLoadAnimation && loadAnimationStartRef.current > 0) {
-        const animationDuration = 2000;
-        const animationElapsed = t - loadAnimationStartRef.current;
-        const progress = Math.min(animationElapsed / animationDuration, 1);
-        program.uniforms.uPageLoadProgress.value = progress;
+      if (usesManualClock()) return;
+      if (!document.hidden) {
+        rafRef.current = requestAnimationFrame(loop);
+        terminal.trackFrame(t);
       }
-
-      if (mouseReact) {
-        const dampingFactor = 0.08;
-        const smoothMouse = smoothMouseRef.current;
-        const mouse = mouseRef.current;
-        smoothMouse.x += (mouse.x - smoothMouse.x) * dampingFactor;
-        smoothMouse.y += (mouse.y - smoothMouse.y) * dampingFactor;
-
-        const mouseUniform = program.uniforms.uMouse.value;
-        mouseUniform[0] = smoothMouse.x;
-        mouseUniform[1] = smoothMouse.y;
-      }
-
-      /* Zoom-back: uGatherProgress goes from 1 to 0 over GATHER_DURATION_MS; then we call onZoomBackComplete. */
-      if (zoomBackRequestedRef.current && zoomBackStartRef.current >= 0) {
-        const target = transitionTargetRef.current;
-        if (target && target.x != null && target.y != null) {
-          const tu = program.uniforms.uTargetPos.value;
-          tu[0] = target.x;
-          tu[1] = target.y;
-        }
-        if (zoomBackStartRef.current === 0) zoomBackStartRef.current = t;
-        const elapsed = t - zoomBackStartRef.current;
-        if (elapsed < GATHER_DURATION_MS) {
-          const tNorm = elapsed / GATHER_DURATION_MS;
-          program.uniforms.uGatherProgress.value = 1 - easeOutCubic(tNorm);
-        } else {
-          program.uniforms.uGatherProgress.value = 0;
-          zoomBackStartRef.current = -1;
-          onZoomBackCompleteRef.current?.();
-        }
-      } else if (transitionRequestedRef.current && transitionStartRef.current >= 0) {
-        /* Zoom-in: uGatherProgress goes from 0 to 1; then we call onTransitionComplete. */
-        const target = transitionTargetRef.current;
-        if (target && target.x != null && target.y != null) {
-          const tu = program.uniforms.uTargetPos.value;
-          tu[0] = target.x;
-          tu[1] = target.y;
-        }
-        if (transitionStartRef.current === 0) transitionStartRef.current = t;
-        const elapsed = t - transitionStartRef.current;
-        if (elapsed < GATHER_DURATION_MS) {
-          const gatherT = elapsed / GATHER_DURATION_MS;
-          program.uniforms.uGatherProgress.value = easeOutCubic(gatherT);
-        } else {
-          program.uniforms.uGatherProgress.value = 1;
-          transitionStartRef.current = -1;
-          onTransitionCompleteRef.current?.();
-        }
-      } else if (!transitionRequestedRef.current) {
-        transitionStartRef.current = 0;
-      }
-      if (!zoomBackRequestedRef.current) {
-        zoomBackStartRef.current = 0;
-      }
-
-      renderer.render({ scene: mesh });
+      update(t);
     };
 
     /** When tab is hidden we switch to a 100ms interval instead of RAF to save CPU/GPU; when visible again we resume RAF. */
     const onVisibilityChange = () => {
+      if (usesManualClock()) return;
       if (document.hidden) {
         cancelAnimationFrame(rafRef.current);
         rafRef.current = 0;
         if (!visibilityIntervalRef.current) {
-          visibilityIntervalRef.current = setInterval(() => update(performance.now()), 100);
+          visibilityIntervalRef.current = setInterval(() => loop(performance.now()), 100);
         }
       } else {
         if (visibilityIntervalRef.current) {
           clearInterval(visibilityIntervalRef.current);
           visibilityIntervalRef.current = null;
         }
-        rafRef.current = requestAnimationFrame(update);
+        /* Start a fresh measurement; the gap while hidden says nothing about render cost. */
+        terminal.resetGovernor();
+        rafRef.current = requestAnimationFrame(loop);
       }
     };
 
-    rafRef.current = requestAnimationFrame(update);
-    ctn.appendChild(gl.canvas);
+    renderAtRef.current = update;
+    resumeLoopRef.current = () => {
+      if (document.hidden) onVisibilityChange();
+      else if (!rafRef.current) rafRef.current = requestAnimationFrame(loop);
+    };
+    /* Export: the loop stops (exports set the clock), the canvas is resized to the export viewport at the best tier. */
+    exporterRef.current = {
+      canvas: terminal.canvas,
+      begin(view) {
+        cancelAnimationFrame(rafRef.current);
+        rafRef.current = 0;
+        terminal.beginExport(view);
+      },
+      end() {
+        terminal.endExport();
+      },
+      render: update
+    };
+    if (usesManualClock()) update(manualTimeRef.current);
+    else rafRef.current = requestAnimationFrame(loop);
+    ctn.appendChild(terminal.canvas);
 
-    if (mouseReact) window.addEventListener('mousemove', handleMouseMove, { passive: true });
+    const pointerEvents = ['pointermove', 'pointerdown', 'pointerup', 'pointercancel'];
+    pointerEvents.forEach(type => window.addEventListener(type, handlePointer, { passive: true }));
     document.addEventListener('visibilitychange', onVisibilityChange);
 
     return () => {
+      setQualityRangeRef.current = null;
+      setPassesRef.current = null;
+      syncUniformsRef.current = null;
+      showMessageRef.current = null;
+      renderAtRef.current = null;
+      resumeLoopRef.current = null;
+      exporterRef.current = null;
       cancelAnimationFrame(rafRef.current);
+      rafRef.current = 0;
       if (visibilityIntervalRef.current) clearInterval(visibilityIntervalRef.current);
+      visibilityIntervalRef.current = null;
+      window.removeEventListener('resize', throttledResize);
+      pointerEvents.forEach(type => window.removeEventListener(type, handlePointer));
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+
+      terminal.dispose();
+      terminal.canvas.remove();
+    };
+  }, [fallback, inWorker, handlePointer, usesManualClock, advanceGather]);
+
+  /*
+   * Offscreen mode: the canvas goes to terminal.worker.js, which runs the same renderer core and its own loop.
+   * This side forwards pointer, resize, visibility and prop changes, and starts zooms there; the worker posts
+   * back uGatherProgress, finished zooms and quality tiers. Exports need the canvas here, so they resolve null.
+   */
+  useEffect(() => {
+    const ctn = containerRef.current;
+    if (!ctn || fallback || !inWorker) return;
+
+    const clockStart = () => (usesManualClock() ? manualTimeRef.current : null);
+    const canvas = document.createElement('canvas');
+    /* The worker sizes the drawing buffer; the placeholder canvas keeps the display size, as resize() does in-thread. */
+    const sizeCanvas = () => {
+      canvas.style.width = window.innerWidth + 'px';
+      canvas.style.height = window.innerHeight + 'px';
+    };
+    sizeCanvas();
+    const offscreenCanvas = canvas.transferControlToOffscreen();
+    const worker = new Worker(new URL('../terminal.worker.js', import.meta.url), { type: 'module' });
+    const post = message => worker.postMessage(message);
+
+    /* Zooms running in the worker by id ({ to, duration, easing, resolve }), and cancel() calls awaiting its answer */
+    const zooms = new Map();
+    let nextZoomId = 1;
+    const cancels = [];
+    const startZoom = ({ to, start, duration, easing, resolve }) => {
+      const id = nextZoomId++;
+      zooms.set(id, { to, duration, easing, resolve });
+      post({ type: 'zoom', id, to, start, duration, easing: typeof easing === 'string' ? easing : undefined, target: gatherTargetRef.current });
+    };
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'gather') reportGather(data.value);
+      else if (data.type === 'zoomEnd') {
+        zooms.get(data.id)?.resolve(data.done);
+        zooms.delete(data.id);
+      } else if (data.type === 'cancelled') cancels.shift()?.(data.value);
+      else if (data.type === 'quality') onQualityChangeRef.current?.(data.tier);
+      else if (data.type === 'stats' && qualityOverlayRef.current) qualityOverlayRef.current.textContent = data.text;
+      else if (data.type === 'failed') setOffscreenFailed(true);
+    };
+    worker.onerror = () => setOffscreenFailed(true);
+
+    post(
+      {
+        type: 'init',
+        canvas: offscreenCanvas,
+        viewport: windowViewport(),
+        live: liveRef.current,
+        uniformValues: uniformValuesRef.current,
+        message: messageRef.current,
+        qualityRange: qualityRangeRef.current,
+        timeOffset: timeOffsetRef.current,
+        gather: gatherRef.current.value,
+        manualTime: manualTimeRef.current,
+        hidden: document.hidden
+      },
+      [offscreenCanvas]
+    );
+    /* A zoom started before the worker existed (e.g. in the in-thread renderer it replaces) carries on there. */
+    const running = gatherRef.current.anim;
+    gatherRef.current.anim = null;
+    if (running) startZoom({ to: running.to, start: clockStart(), duration: running.duration, easing: running.easing, resolve: running.resolve });
+
+    workerRef.current = {
+      zoom: options => new Promise(resolve => startZoom({ ...options, resolve })),
+      cancel: () =>
+        new Promise(resolve => {
+          cancels.push(resolve);
+          post({ type: 'cancel' });
+        })
+    };
+    postLiveRef.current = live => post({ type: 'live', live });
+    showMessageRef.current = next => post({ type: 'message', message: next, start: clockStart() });
+    syncUniformsRef.current = values => post({ type: 'uniforms', values, tween: tweenRef.current });
+    setQualityRangeRef.current = range => post({ type: 'qualityRange', range });
+    renderAtRef.current = t => post({ type: 'frame', t });
+
+    let resizeTick = 0;
+    const throttledResize = () => {
+      const t = performance.now();
+      if (t - resizeTick < 120) return;
+      resizeTick = t;
+      sizeCanvas();
+      post({ type: 'viewport', viewport: windowViewport() });
+    };
+    const onVisibilityChange = () => post({ type: 'visibility', hidden: document.hidden });
+    const onPointer = e => {
+      if (!usesManualClock()) post({ type: 'pointer', event: pointerInput(e) });
+    };
+    ctn.appendChild(canvas);
+
+    const pointerEvents = ['pointermove', 'pointerdown', 'pointerup', 'pointercancel'];
+    window.addEventListener('resize', throttledResize);
+    pointerEvents.forEach(type => window.addEventListener(type, onPointer, { passive: true }));
+    document.addEventListener('visibilitychange', onVisibilityChange);
+
+    return () => {
+      workerRef.current = null;
+      postLiveRef.current = null;
+      showMessageRef.current = null;
+      syncUniformsRef.current = null;
+      setQualityRangeRef.current = null;
+      renderAtRef.current = null;
       window.removeEventListener('resize', throttledResize);
-      window.removeEventListener('mousemove', handleMouseMove);
+      pointerEvents.forEach(type => window.removeEventListener(type, onPointer));
       document.removeEventListener('visibilitychange', onVisibilityChange);
+      /* Terminating the worker releases its context. */
+      worker.terminate();
+      canvas.remove();
+
+      /*
+       * The worker's zoom goes with it: the latest one restarts from the current progress in whatever renders next
+       * (the in-thread fallback, or the static one), so the props path still gets its callback; older ones had
+       * been replaced already.
+       */
+      const pending = [...zooms.values()];
+      const latest = pending.pop();
+      pending.forEach(zoom => zoom.resolve(false));
+      cancels.splice(0).forEach(resolve => resolve(gatherRef.current.value));
+      if (latest) {
+        const gather = gatherRef.current;
+        gather.anim = { from: gather.value, to: latest.to, start: clockStart(), duration: latest.duration, easing: resolveEasing(latest.easing), resolve: latest.resolve };
+        kickFallbackRef.current?.();
+      }
+    };
+  }, [fallback, inWorker, usesManualClock, reportGather]);
+
+  /* Offscreen mode: the worker gets a copy of the props its loop reads whenever one changes. */
+  useEffect(() => {
+    postLiveRef.current?.(liveRef.current);
+  }, [scale, timeScale, pause, mouseReact, pageLoadAnimation, adaptiveQuality, clock, showQualityOverlay]);
+
+  /* A changed message (text, position or duration) is shown afresh; null fades the current one out. */
+  const messageKey = message?.text
+    ? [message.text, message.position === 'target' || !message.position ? 'target' : `${message.position.x},${message.position.y}`, message.duration || 0].join('|')
+    : '';
+  useEffect(() => {
+    showMessageRef.current?.(messageRef.current);
+  }, [messageKey]);
+
+  /* Prop changes go straight to the running program (tweened when `tween` asks for it). */
+  useEffect(() => {
+    syncUniformsRef.current?.(uniformValues);
+  }, [uniformValues]);
+
+  /* A new passes list rebuilds only the pass programs and targets, not the renderer. */
+  useEffect(() => {
+    setPassesRef.current?.(passes);
+  }, [passes]);
+
+  /* A new qualityRange is applied to the running governor instead of rebuilding the renderer. */
+  const [qualityBest, qualityWorst] = qualityRange || [];
+  useEffect(() => {
+    setQualityRangeRef.current?.([qualityBest, qualityWorst]);
+  }, [qualityBest, qualityWorst]);
+
+  /**
+   * Starts animating uGatherProgress from its current value to `to`. A zoom already running is
+   * replaced (its promise resolves false), so reversing mid-zoom carries on from where it was.
+   */
+  const animateGather = useCallback((to, { duration = GATHER_DURATION_MS, easing } = {}) => {
+    const start = usesManualClock() ? manualTimeRef.current : null;
+    if (workerRef.current) return workerRef.current.zoom({ to, start, duration, easing });
+    const gather = gatherRef.current;
+    gather.anim?.resolve(false);
+    return new Promise(resolve => {
+      gather.anim = { from: gather.value, to, start, duration, easing: resolveEasing(easing), resolve };
+      kickFallbackRef.current?.();
+    });
+  }, [usesManualClock]);
+
+  const zoomTo = useCallback((target, { level = 1, ...options } = {}) => {
+    if (target && target.x != null && target.y != null) gatherTargetRef.current = { x: target.x, y: target.y };
+    return animateGather(level, options);
+  }, [animateGather]);
+
+  const zoomBack = useCallback(options => animateGather(0, options), [animateGather]);
+
+  const cancel = useCallback(() => {
+    if (workerRef.current) return workerRef.current.cancel();
+    const gather = gatherRef.current;
+    const anim = gather.anim;
+    gather.anim = null;
+    anim?.resolve(false);
+    return Promise.resolve(gather.value);
+  }, []);
+
+  /** clock="manual": moves the clock to t (ms since mount) and renders that frame. Returns the clock time. */
+  const setTime = useCallback(t => {
+    if (liveRef.current.clock !== 'manual' || exportingRef.current) return manualTimeRef.current;
+    manualTimeRef.current = t;
+    if (renderAtRef.current) {
+      renderAtRef.current(t);
+    } else {
+      /* Static fallback: only the zoom cross-fade depends on time */
+      advanceGather(t);
+      containerRef.current?.style.setProperty('--ft-depth', Math.min(gatherRef.current.value, 3));
+    }
+    return t;
+  }, [advanceGather]);
+
+  const step = useCallback((dt = 1000 / 60) => setTime(manualTimeRef.current + dt), [setTime]);
+
+  /**
+   * Starts an export: the loop stops, the clock carries on from the current time and the canvas is drawn at the
+   * export viewport (default: window size). Returns the WebGL effect's export hooks, or null (static fallback,
+   * or another export still running).
+   */
+  const beginExport = useCallback(({ width, height, pixelRatio = 1 }) => {
+    const exporter = exporterRef.current;
+    if (!exporter || exportingRef.current) return null;
+    if (liveRef.current.clock !== 'manual') manualTimeRef.current = performance.now();
+    exportingRef.current = true;
+    exporter.begin({
+      width: Math.round(width || window.innerWidth),
+      height: Math.round(height || window.innerHeight),
+      pixelRatio
+    });
+    return exporter;
+  }, []);
 
-      if (process.env.NODE_ENV === 'production') {
-        gl.getExtension('WEBGL_lose_context')?.loseContext();
+  /** Puts the canvas back on screen size and tier, and restarts the loop (or redraws the manual clock's frame). */
+  const endExport = useCallback(() => {
+    exportingRef.current = false;
+    const exporter = exporterRef.current;
+    if (!exporter) return;
+    exporter.end();
+    if (liveRef.current.clock === 'manual') exporter.render(manualTimeRef.current);
+    else resumeLoopRef.current?.();
+  }, []);
+
+  /**
+   * The current frame as an image (PNG unless `type` says otherwise), laid out for a width × height viewport
+   * and drawn at pixelRatio. Resolves with the blob, or null when there's nothing to export.
+   */
+  const snapshot = useCallback(({ width, height, pixelRatio = 1, type = 'image/png' } = {}) => {
+    const exporter = beginExport({ width, height, pixelRatio });
+    if (!exporter) return Promise.resolve(null);
+    exporter.render(manualTimeRef.current);
+    /* toBlob copies the drawing buffer straight away, before endExport resizes (and clears) the canvas. */
+    const blob = canvasToBlob(exporter.canvas, type);
+    endExport();
+    return blob;
+  }, [beginExport, endExport]);
+
+  /**
+   * Records `duration` ms at `fps` to WebM, drawn like snapshot. Each frame advances the clock by exactly
+   * 1000 / fps ms, whatever the display's refresh rate. Unless `zoom` is false, the recording zooms toward
+   * zoom.target at zoom.at and back at zoom.backAt (fractions of the recording; backAt null stays zoomed);
+   * the page's own zoom is put back afterwards. Resolves with the blob, or null when recording isn't
+   * supported or there's nothing to export.
+   */
+  const record = useCallback(async ({ duration = 4000, fps = 30, width, height, pixelRatio = 1, zoom = {} } = {}) => {
+    if (!canRecordCanvas(exporterRef.current?.canvas)) return null;
+    const exporter = beginExport({ width, height, pixelRatio });
+    if (!exporter) return null;
+
+    const frameMs = 1000 / fps;
+    const frames = Math.max(1, Math.round(duration / frameMs));
+    const start = manualTimeRef.current;
+    const { target = { x: 0.5, y: 0.5 }, level = 1, at = 0.15, backAt = 0.6, duration: zoomDuration = GATHER_DURATION_MS, easing } = zoom || {};
+    const zoomFrames = zoom ? [[Math.round(frames * at), level], [backAt == null ? -1 : Math.round(frames * backAt), 0]] : [];
+
+    /* The recording zooms on its own gather state, so a page zoom in progress resumes untouched afterwards. */
+    const savedGather = gatherRef.current;
+    const savedTarget = gatherTargetRef.current;
+    const gather = { value: savedGather.value, anim: null };
+    gatherRef.current = gather;
+    if (zoom) gatherTargetRef.current = { x: target.x, y: target.y };
+
+    try {
+      return await recordCanvas(exporter.canvas, {
+        frames,
+        fps,
+        drawFrame: i => {
+          const t = start + i * frameMs;
+          zoomFrames.forEach(([frame, to]) => {
+            if (frame !== i) return;
+            gather.anim?.resolve(false);
+            gather.anim = { from: gather.value, to, start: t, duration: zoomDuration, easing: resolveEasing(easing), resolve: () => {} };
+          });
+          manualTimeRef.current = t;
+          exporter.render(t);
+        }
+      });
+    } finally {
+      /* A zoomTo / zoomBack called while recording landed on the recording's gather state: it didn't finish */
+      gather.anim?.resolve(false);
+      gatherRef.current = savedGather;
+      gatherTargetRef.current = savedTarget;
+      endExport();
+    }
+  }, [beginExport, endExport]);
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      zoomTo,
+      zoomBack,
+      cancel,
+      setTime,
+      step,
+      snapshot,
+      record,
+      get gatherProgress() {
+        return gatherRef.current.value;
       }
+    }),
+    [zoomTo, zoomBack, cancel, setTime, step, snapshot, record]
+  );
+
+  /* Back to the realtime clock: restart the loop (a manual clock just stops scheduling frames). */
+  useEffect(() => {
+    if (clock !== 'manual' && !exportingRef.current) resumeLoopRef.current?.();
+  }, [clock]);
+
+  /* Props path: transitionRequested (+ level changes) zooms in, zoomBackRequested zooms back; callbacks fire only for zooms that finish. */
+  useEffect(() => {
+    if (!transitionRequested || zoomBackRequested) return;
+    zoomTo(transitionTargetRef.current, { level: transitionLevel }).then(done => {
+      if (done) onTransitionCompleteRef.current?.();
+    });
+  }, [transitionRequested, transitionLevel, zoomBackRequested, zoomTo]);
+
+  useEffect(() => {
+    if (!zoomBackRequested) return;
+    zoomBack().then(done => {
+      if (done) onZoomBackCompleteRef.current?.();
+    });
+  }, [zoomBackRequested, zoomBack]);
+
+  /* Static fallback: no render loop, so a small ticker advances the zoom while one runs and dims the backdrop to match. */
+  useEffect(() => {
+    if (!fallback) return;
+    const ctn = containerRef.current;
+    let raf = 0;
+    const tick = t => {
+      raf = 0;
+      advanceGather(t);
+      ctn?.style.setProperty('--ft-depth', Math.min(gatherRef.current.value, 3));
+      if (gatherRef.current.anim) raf = requestAnimationFrame(tick);
     };
-  }, [
-    pause,
-    timeScale,
-    scale,
-    gridMul,
-    digitSize,
-    scanlineIntensity,
-    glitchAmount,
-    flickerAmount,
-    noiseAmp,
-    chromaticAberration,
-    ditherValue,
-    curvature,
-    tintVec,
-    mouseReact,
-    mouseStrength,
-    pageLoadAnimation,
-    brightness,
-    handleMouseMove
-  ]);
-
-  return <div ref={containerRef} className={`faulty-terminal-container ${className}`} style={style} {...rest} />;
-}
+    kickFallbackRef.current = () => {
+      if (!raf && !usesManualClock()) raf = requestAnimationFrame(tick);
+    };
+    kickFallbackRef.current();
+    return () => {
+      cancelAnimationFrame(raf);
+      kickFallbackRef.current = null;
+    };
+  }, [fallback, usesManualClock, advanceGather]);
+
+  if (fallback) {
+    /* --ft-depth (the zoom progress) is written by the fallback ticker, not here, so re-renders don't reset it. */
+    const fallbackStyle = {
+      ...style,
+      '--ft-tint': `rgb(${tintVec.map(c => Math.round(c * 255)).join(', ')})`,
+      '--ft-brightness': brightness
+    };
+    return (
+      <div
+        ref={containerRef}
+        className={`faulty-terminal-container faulty-terminal-container--static ${className}`}
+        style={fallbackStyle}
+        {...rest}
+      >
+        <div className="faulty-terminal-fallback" />
+      </div>
+    );
+  }
+
+  return (
+    <div ref={containerRef} className={`faulty-terminal-container ${className}`} style={style} {...rest}>
+      {showQualityOverlay && <div ref={qualityOverlayRef} className="faulty-terminal-quality" aria-hidden="true" />}
+    </div>
+  );
+});
+
+export default FaultyTerminal;
@@ -0,0 +1,41 @@
+/**
+ * LanguageSwitcher.jsx — Buttons for picking the site language (EN / TR)
+ *
+ * One button per entry in i18n.js's LOCALES, showing its short code; the current one is
+ * marked pressed. Sits in the top-right corner controls next to the sound button. Each
+ * button names its language in that language ("Türkçe") and is marked with its lang, so
+ * a screen reader pronounces it right whatever the page is in.
+ *
+ * Props:
+ * - localeId: id of the current locale
+ * - onSelect(id): a language was picked (App saves and applies it via useLocale)
+ */
+
+import { memo } from 'react';
+import { LOCALES } from '../i18n';
+import useTranslation from '../hooks/useTranslation';
+import './LanguageSwitcher.css';
+
+const LanguageSwitcher = memo(function LanguageSwitcher({ localeId, onSelect }) {
+  const { t } = useTranslation();
+  return (
+    <div className="language-switcher" role="group" aria-label={t('language.label')}>
+      {LOCALES.map(locale => (
+        <button
+          key={locale.id}
+          type="button"
+          lang={locale.id}
+          className={`language-switcher__option ${locale.id === localeId ? 'language-switcher__option--active' : ''}`}
+          aria-pressed={locale.id === localeId}
+          aria-label={locale.label}
+          title={locale.label}
+          onClick={() => onSelect(locale.id)}
+        >
+          {locale.short}
+        </button>
+      ))}
+    </div>
+  );
+});
+
+export default LanguageSwitcher;
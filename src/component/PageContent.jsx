@@ -4,117 +4,218 @@
  * When the user has clicked one of the three labels (ABOUT, RESUME, COVER) and
  * the zoom has settled, this component shows a centered panel that looks like
  * a small terminal window: title bar with dots + label (e.g. "ABOUT.txt"),
- * scanline overlay, and lines of "prompt" and "output" text with a blinking
- * cursor at the end.
+ * scanline overlay, and lines of "prompt" and "output" text ending in a live
+ * prompt where visitors can type commands (help, ls, cat, open, clear, pdf,
+ * exit — see commands.js). Typed commands and their output are appended as
+ * more prompt/output lines.
  *
  * Props:
- * - page: 'about' | 'resume' | 'cover' — which set of lines to show
+ * - page: the open page's registry entry (pages.js); its content lines are shown
+ *   and its title goes in the title bar
+ * - trail: registry entries from the top-level page down to page; used for the
+ *   title bar path (e.g. "RESUME/PROJECTS.txt")
  * - isReturning: true when the user has clicked "Return"; we add a class so
  *   the panel slides right and fades out (1.1s) in sync with the header and
  *   zoom-back
+ * - onOpenChild(id): called when a 'dir' line for a sub-page is clicked
+ * - onNavigate(path): called by the `open` command with the page's full id path
+ * - onReturn(): called by `exit` / `open ..`; same as clicking "Return"
+ * - stream: optional typewriter mode — true or { startDelay, charDelay,
+ *   outputCharDelay, lineDelay, promptDelay } (see useTypewriter). Prompt lines
+ *   are typed out, output lines printed one by one; click, Space or Escape skips
+ *   to the end. Off when the user prefers reduced motion.
+ * - highlight: optional { lineIndex, terms } from the search overlay; the panel
+ *   skips streaming, scrolls that line into view and marks every match in it
  *
- * Content is defined in ABOUT_LINES, RESUME_LINES, COVER_LINES. Each line has
- * type: 'prompt' | 'output' | 'dir' and text. Edit those arrays to change
- * what appears on each page.
+ * Content lives in src/content/<locale> and is wired to pages in pages.js; App passes
+ * the entries in the site's language, and the panel's own strings and the shell's
+ * messages come from useTranslation. Each line has
+ * type: 'prompt' | 'output' | 'dir' | 'link' and text. A 'dir' line with a page
+ * id opens that child page; children not linked from the content are listed
+ * as 'dir' lines at the end.
+ *
+ * Keyboard: the panel itself is focusable (App moves focus into it when a page
+ * opens), and the custom scrollbar track is a real scrollbar control — it takes
+ * focus and responds to the arrow keys, PageUp/PageDown and Home/End.
+ *
+ * Pointer: the thumb and track use Pointer Events, so mouse, touch and pen can all drag
+ * them (pressing the track jumps the thumb there and keeps dragging). A touch or pen flick
+ * carries on scrolling with momentum after release, slowing to a stop.
  */
 
-import React, { memo, forwardRef, useState, useEffect, useRef, useCallback } from 'react';
+import React, { memo, forwardRef, useState, useEffect, useRef, useCallback, useMemo, useId } from 'react';
+import { runCommand, complete, pushHistory, historyAt, historyLength, PROMPT_SYMBOL } from '../commands';
+import useTypewriter from '../hooks/useTypewriter';
+import useTranslation from '../hooks/useTranslation';
+import { splitMatches } from '../search';
 import './PageContent.css';
 
-/* Lines shown on the About page. type 'prompt' = terminal prompt; 'output' = response text. */
-const ABOUT_LINES = [
-  { type: 'prompt', text: '> About me and this webapp' },
-  { type: 'output', text: "First of all, thank you for taking the time to visit my website! My name is Ehlinaz, though I often go by Lula. I'm a recent university graduate with a background in software engineering and a genuine passion for building things." },
-  { type: 'output', text: '' },
-  { type: 'output', text: "I created this site for a few reasons. First, because I believe portfolios should be more than a list of skills on a page. Anyone can say they can code and in the competitive job market I wanted to show it. Second, I wanted to make the hiring process more interesting, both for myself and for the people reviewing my work. I think that while resumes and cover letters are useful, they don't always show how someone thinks, and that part matters to me." },
-  { type: 'output', text: '' },
-  { type: 'output', text: "This website itself is part of that process. It was built with the help of open-source tools, design inspiration from the React ecosystem, and a lot of time spent reading documentation written by developers who care deeply about their craft. I still enjoy going through docs, examples, and community resources because that's where I tend to learn best — not to mention it is always amazing to see how senior developers think and create." },
-  { type: 'output', text: '' },
-  { type: 'output', text: "More than anything, this page exists to show curiosity, intention, and growth. I'd like to say it's not about perfection, it's about momentum." }
-];
-
-/* Lines shown on the Cover page. */
-const COVER_LINES = [
-  { type: 'prompt', text: '> Cover' },
-  { type: 'output', text: "I'm a software engineering graduate who enjoys building small, complete systems — from an idea to something people can actually use. Most of my experience comes from hands-on projects where I've worked with JavaScript and React Native to build mobile applications, connected APIs, and handled data with tools like Firestore and Google Maps." },
-  { type: 'output', text: '' },
-  { type: 'output', text: "My background includes experience with component-based development, state management, and building interfaces that are structured, readable, and maintainable. I also have experience in C++, which has given me a solid grounding in core programming concepts, memory management, and problem-solving at a lower level." },
-  { type: 'output', text: '' },
-  { type: 'output', text: "As a new graduate, I'm very aware that there is still a lot I don't know. What I try to bring instead is curiosity, persistence, and a genuine interest in understanding how things work. I'm comfortable reading documentation, learning unfamiliar tools, and asking good questions, and I enjoy the process of improving through iteration." },
-  { type: 'output', text: '' },
-  { type: 'output', text: "This portfolio exists to hopefully show my approach more clearly than a traditional cover letter can. Rather than listing skills, I wanted to demonstrate how I think, how I learn, and how I translate ideas into working software." },
-  { type: 'output', text: '' },
-  { type: 'output', text: "I'm looking for opportunities where I can contribute, keep learning, and grow alongside more experienced engineers, while doing work that is thoughtful, practical, and well-built." }
-];
-
-/* Lines shown on the Resume page. */
-const RESUME_LINES = [
-  { type: 'prompt', text: '> Summary' },
-  { type: 'output', text: "I'm a Software Engineering graduate with experience building small applications, connecting APIs, and working on projects from idea to working prototype. I like figuring out how systems behave, improving things that don't work well, and learning new tools as I go. I speak both English and Turkish and I'm ready to step into a development team and keep growing." },
-  { type: 'output', text: '' },
-  { type: 'prompt', text: '> Skills' },
-  { type: 'output', text: 'Languages & Frameworks: Java, C++, Python, JavaScript, HTML, CSS, SQL, React.js, React Native, Node.js' },
-  { type: 'output', text: 'Tools & Platforms: AWS, Azure, Firestore, Google Maps API, Jira' },
-  { type: 'output', text: 'Other Skills: Networking & troubleshooting, hardware knowledge, team collaboration, independent project delivery.' },
-  { type: 'output', text: '' },
-  { type: 'prompt', text: '> My Projects' },
-  { type: 'output', text: 'Tourism Mobile App – Local Legends | React Native, JavaScript, Firestore, Google Maps API' },
-  { type: 'output', text: 'Developed a fully interactive mobile app that helps users discover cultural landmarks and local myths nearby. Integrated Google Maps API for real-time location-based recommendations. Implemented a community feature where users can submit and manage their own stories via Firestore.' },
-  { type: 'output', text: '' },
-  { type: 'output', text: 'Customer FAQ Interface | Python' },
-  { type: 'output', text: 'Created a self-service FAQ tool for a small business to streamline support and reduce human workload. Implemented search functionality, input logging, and data-driven content optimization.' },
-  { type: 'output', text: '' },
-  { type: 'output', text: 'Object-Speed Measurement Mobile App | React Native' },
-  { type: 'output', text: 'Designed an educational mobile app that calculates the approximate speed of moving objects using the device camera. Introduced interactive physics learning for school-aged children during a science event.' },
-  { type: 'output', text: '' },
-  { type: 'output', text: 'Map-Based Interactive Mobile Game | C++' },
-  { type: 'output', text: 'Built a story-driven pixel art mobile game with branching narratives and multiple endings. Implemented game logic, memory management, and user input handling in a low-level environment.' },
-  { type: 'output', text: '' },
-  { type: 'output', text: 'Network Configuration & Maintenance Project' },
-  { type: 'output', text: 'Collaborated in a team to configure and maintain a simulated enterprise network. Focused on security, stable performance, and hands-on troubleshooting to strengthen networking fundamentals.' },
-  { type: 'output', text: '' },
-  { type: 'prompt', text: '> Education' },
-  { type: 'output', text: 'Bachelor of Information Technology - Software Engineering Major (June 2023 - November 2025)' },
-  { type: 'output', text: 'La Trobe University | Melbourne, VIC' },
-  { type: 'output', text: '' },
-  { type: 'output', text: 'Diploma of Information Technology (Aug 2022 – Sept 2023)' },
-  { type: 'output', text: 'La Trobe College | Melbourne, VIC' },
-  { type: 'link', text: 'Open my full resume (PDF)', href: '/LulaITResume.pdf'},
-];
+/**
+ * Content lines plus a 'dir' line for every child page the content doesn't already link to,
+ * so a sub-page in the registry is always reachable from its parent.
+ */
+function linesWithChildren(page) {
+  const lines = page.content || [];
+  const linked = new Set(lines.filter(line => line.type === 'dir' && line.page).map(line => line.page));
+  const unlinked = (page.children || []).filter(child => !linked.has(child.id));
+  if (!unlinked.length) return lines;
+  return [
+    ...lines,
+    { type: 'output', text: '' },
+    ...unlinked.map(child => ({ type: 'dir', text: `${child.id}/`, page: child.id }))
+  ];
+}
+
+/** Line text, with every search match wrapped in a <mark> when terms are given. */
+function lineText(text, terms, locale) {
+  if (!terms?.length) return text;
+  return splitMatches(text, terms, locale).map((part, i) =>
+    part.match ? <mark key={i} className="page-content__match">{part.text}</mark> : part.text
+  );
+}
 
 /**
  * Renders a single line with the correct class: prompt (green), output (lighter green), or dir (directory listing style).
- * Empty output lines get a spacer class for paragraph breaks.
+ * Empty output lines get a spacer class for paragraph breaks. A 'dir' line with a page id is a button that opens that sub-page.
+ * cursor: show the blinking block cursor after the text (the line currently being typed in streaming mode).
+ * matchTerms: search terms to highlight in this line (the line picked from the search overlay).
  */
-function TerminalLine({ line }) {
+function TerminalLine({ line, index, onOpenChild, cursor = false, matchTerms }) {
+  const { locale } = useTranslation();
   const isSpacer = line.type === 'output' && line.text === '';
   const baseClass = line.type === 'prompt' ? 'page-content__line page-content__line--prompt' :
     line.type === 'dir' ? 'page-content__line page-content__line--dir' :
     'page-content__line page-content__line--output';
-  const className = isSpacer ? `${baseClass} page-content__line--spacer` : baseClass;
+  const className = `${isSpacer ? `${baseClass} page-content__line--spacer` : baseClass}${matchTerms ? ' page-content__line--found' : ''}`;
 
-    if (line.type === 'link') {
+  if (line.type === 'dir' && line.page && onOpenChild) {
+    return (
+      <div className={className} data-line={index}>
+        <button type="button" className="page-content__dir-link" onClick={() => onOpenChild(line.page)}>
+          {lineText(line.text, matchTerms, locale.id)}
+        </button>
+      </div>
+    );
+  }
+  if (line.type === 'link') {
     return (
-      <div className={className}>
+      <div className={className} data-line={index}>
         <a
           href={line.href}
           target="_blank"
           rel="noopener noreferrer"
           className="page-content__link"
         >
-          {line.text}
+          {lineText(line.text, matchTerms, locale.id)}
         </a>
       </div>
     );
   }
-  return <div className={className}>{line.text}</div>;
+  return (
+    <div className={className} data-line={index}>
+      {lineText(line.text, matchTerms, locale.id)}
+      {cursor && <span className="page-content__cursor" aria-hidden="true" />}
+    </div>
+  );
 }
 
-const PageContent = memo(forwardRef(function PageContent({ page, isReturning }, ref) {
-  const lines = page === 'about' ? ABOUT_LINES : page === 'resume' ? RESUME_LINES : COVER_LINES;
-  const title = page === 'about' ? 'ABOUT' : page === 'resume' ? 'RESUME' : 'COVER';
+/** How far one arrow-key press on the scrollbar track scrolls the body (px). */
+const SCROLL_STEP_PX = 40;
+
+/** Momentum after a touch/pen flick: velocity kept per 16ms frame, and the speed (px/ms) below which it stops. */
+const MOMENTUM_FRICTION = 0.95;
+const MOMENTUM_MIN_VELOCITY = 0.05;
+/** Only pointer movement from the last this-many ms counts toward the flick velocity. */
+const VELOCITY_WINDOW_MS = 100;
+
+/** Controls that Space activates; while one has focus, Space is left to it instead of skipping the stream. */
+const SPACE_ACTIVATED = 'a[href], button, summary, [role="button"], [role="link"], [role="checkbox"], [role="switch"], [role="tab"], [role="menuitem"], [role="option"]';
+
+/**
+ * The live prompt line at the bottom of the panel. Enter runs the command, ↑/↓ walk the
+ * command history, Tab completes command, page and file names. While the input is empty
+ * and not focused we show the blinking block cursor so the panel looks idle, as before.
+ */
+const TerminalPrompt = forwardRef(function TerminalPrompt({ onSubmit, onCandidates }, ref) {
+  const { t } = useTranslation();
+  const [value, setValue] = useState('');
+  const [focused, setFocused] = useState(false);
+  /* Position in the command history while browsing with ↑/↓; historyLength() = not browsing (editing a new line). */
+  const historyIndexRef = useRef(historyLength());
+  /* What was typed before ↑ was first pressed, restored when ↓ walks past the newest entry. */
+  const draftRef = useRef('');
+
+  const handleKeyDown = useCallback(e => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      pushHistory(value);
+      historyIndexRef.current = historyLength();
+      draftRef.current = '';
+      setValue('');
+      onSubmit(value);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (historyIndexRef.current === historyLength()) draftRef.current = value;
+      if (historyIndexRef.current > 0) {
+        historyIndexRef.current -= 1;
+        setValue(historyAt(historyIndexRef.current));
+      }
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      if (historyIndexRef.current < historyLength()) {
+        historyIndexRef.current += 1;
+        setValue(historyIndexRef.current === historyLength() ? draftRef.current : historyAt(historyIndexRef.current));
+      }
+    } else if (e.key === 'Tab') {
+      if (!value.trim()) return;
+      e.preventDefault();
+      const result = complete(value);
+      setValue(result.value);
+      if (result.candidates.length) onCandidates(value, result.candidates);
+    }
+  }, [value, onSubmit, onCandidates]);
+
+  return (
+    <label className="page-content__line page-content__line--prompt page-content__prompt">
+      <span className="page-content__prompt-symbol" aria-hidden="true">{PROMPT_SYMBOL}</span>
+      {!focused && !value && <span className="page-content__cursor" aria-hidden="true" />}
+      <input
+        ref={ref}
+        className="page-content__prompt-input"
+        type="text"
+        value={value}
+        onChange={e => setValue(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setFocused(true)}
+        onBlur={() => setFocused(false)}
+        aria-label={t('panel.prompt')}
+        autoComplete="off"
+        autoCapitalize="off"
+        autoCorrect="off"
+        spellCheck={false}
+      />
+    </label>
+  );
+});
+
+const PageContent = memo(forwardRef(function PageContent({ page, trail, isReturning, onOpenChild, onNavigate, onReturn, stream = false, highlight = null }, ref) {
+  const lines = useMemo(() => linesWithChildren(page), [page]);
+  const { visibleLines, streaming, skip } = useTypewriter(lines, stream);
+  const { locale, t } = useTranslation();
+  const title = page.title;
+  const titlePath = (trail?.length ? trail : [page]).map(p => p.title).join('/');
   const bodyRef = useRef(null);
   const trackRef = useRef(null);
+  const promptRef = useRef(null);
+  /* RAF id of the momentum scroll after a flick (0 when none) */
+  const momentumRef = useRef(0);
+  const bodyId = useId();
+  /* Lines printed by commands typed at the prompt (echoed command + its output) */
+  const [session, setSession] = useState([]);
+  /* True after `clear`: the page's own lines are hidden and only new session lines show */
+  const [cleared, setCleared] = useState(false);
+  /* False once the user scrolls up while text streams in; we stop pulling the view to the bottom until they scroll back down */
+  const pinnedRef = useRef(true);
   const [hasOverflow, setHasOverflow] = useState(false);
   const [scrollTop, setScrollTop] = useState(0);
   const [scrollMetrics, setScrollMetrics] = useState({ scrollHeight: 0, clientHeight: 0 });
@@ -131,6 +232,7 @@ const PageContent = memo(forwardRef(function PageContent({ page, isReturning },
   const handleScroll = useCallback(() => {
     const el = bodyRef.current;
     if (!el) return;
+    pinnedRef.current = el.scrollHeight - el.scrollTop - el.clientHeight < 4;
     setScrollTop(el.scrollTop);
     setScrollMetrics({ scrollHeight: el.scrollHeight, clientHeight: el.clientHeight });
   }, []);
@@ -149,47 +251,217 @@ const PageContent = memo(forwardRef(function PageContent({ page, isReturning },
     };
   }, [page, lines, isReturning, checkOverflow]);
 
-  const handleTrackClick = useCallback((e) => {
+  /*
+   * While streaming, content height grows without the body resizing (so the ResizeObserver doesn't
+   * fire): re-measure for the custom scrollbar on every step and keep the view pinned to the bottom.
+   */
+  useEffect(() => {
+    const el = bodyRef.current;
+    if (!el || !streaming) return;
+    if (pinnedRef.current) el.scrollTop = el.scrollHeight;
+    checkOverflow();
+  }, [visibleLines, streaming, checkOverflow]);
+
+  /* A search result was picked for this page: show all lines at once so the matched line exists. */
+  useEffect(() => {
+    if (highlight && streaming) skip();
+  }, [highlight, streaming, skip]);
+
+  /* ...then scroll the matched line to about a third of the way down the body. */
+  useEffect(() => {
     const body = bodyRef.current;
-    const track = trackRef.current;
-    if (!body || !track || body.scrollHeight <= body.clientHeight) return;
-    const rect = track.getBoundingClientRect();
-    const y = e.clientY - rect.top;
-    const thumbRatio = body.clientHeight / body.scrollHeight;
-    const trackHeight = rect.height;
-    const thumbHeight = trackHeight * thumbRatio;
-    const maxThumbTop = trackHeight - thumbHeight;
-    const thumbTop = Math.max(0, Math.min(y - thumbHeight / 2, maxThumbTop));
-    const scrollRange = body.scrollHeight - body.clientHeight;
-    body.scrollTop = (thumbTop / maxThumbTop) * scrollRange;
+    if (!body || !highlight || streaming) return;
+    const lineEl = body.querySelector(`[data-line="${highlight.lineIndex}"]`);
+    if (!lineEl) return;
+    pinnedRef.current = false;
+    body.scrollTop = Math.max(0, lineEl.offsetTop - body.clientHeight / 3);
+    checkOverflow();
+  }, [highlight, streaming, checkOverflow]);
+
+  /*
+   * Click (on the panel), Space or Escape while streaming skips to the end of the text (not while typing in a field,
+   * e.g. search, and Space not while a button or link has focus, so keyboard users can still press it).
+   */
+  useEffect(() => {
+    if (!streaming) return;
+    const onKeyDown = e => {
+      if (e.target?.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      if (e.key === ' ' && e.target?.closest?.(SPACE_ACTIVATED)) return;
+      if (e.key === ' ' || e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        skip();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown, true);
+    return () => window.removeEventListener('keydown', onKeyDown, true);
+  }, [streaming, skip]);
+
+  /* Keep the prompt in view as commands print output, like a real terminal. */
+  useEffect(() => {
+    const el = bodyRef.current;
+    if (!el || !session.length) return;
+    el.scrollTop = el.scrollHeight;
+  }, [session]);
+
+  const echo = useCallback(input => ({ type: 'prompt', text: `${PROMPT_SYMBOL} ${input}` }), []);
+
+  /** Runs a command from the prompt; navigation goes back up to App so it uses the same zoom path as clicks. */
+  const handleCommand = useCallback(input => {
+    const { lines: out, action } = runCommand(input, trail || [page], locale.id);
+    if (action?.type === 'clear') {
+      setCleared(true);
+      setSession([]);
+      return;
+    }
+    setSession(prev => [...prev, echo(input), ...out]);
+    if (action?.type === 'navigate') onNavigate?.(action.path);
+    else if (action?.type === 'return') onReturn?.();
+    else if (action?.type === 'url') window.open(action.href, '_blank', 'noopener,noreferrer');
+  }, [trail, page, locale, echo, onNavigate, onReturn]);
+
+  /** Tab with several matches: print them under the typed line, like a shell. */
+  const handleCandidates = useCallback((input, candidates) => {
+    setSession(prev => [...prev, echo(input), { type: 'output', text: candidates.join('  ') }]);
+  }, [echo]);
+
+  /* Clicking empty space in the body focuses the prompt (clicks on text are left alone so it stays selectable). */
+  const handleBodyClick = useCallback(e => {
+    if (e.target === bodyRef.current) promptRef.current?.focus();
   }, []);
 
-  const handleThumbMouseDown = useCallback((e) => {
-    e.preventDefault();
+  const stopMomentum = useCallback(() => {
+    cancelAnimationFrame(momentumRef.current);
+    momentumRef.current = 0;
+  }, []);
+
+  useEffect(() => stopMomentum, [stopMomentum]);
+
+  /** Keeps scrolling at `velocity` (px/ms of scrollTop), slowing by MOMENTUM_FRICTION, until it stops or hits an end. */
+  const startMomentum = useCallback(velocity => {
+    const body = bodyRef.current;
+    if (!body || Math.abs(velocity) < MOMENTUM_MIN_VELOCITY) return;
+    let v = velocity;
+    let last = 0;
+    const step = t => {
+      const dt = last ? t - last : 16;
+      last = t;
+      const max = body.scrollHeight - body.clientHeight;
+      const next = Math.max(0, Math.min(max, body.scrollTop + v * dt));
+      body.scrollTop = next;
+      v *= Math.pow(MOMENTUM_FRICTION, dt / 16);
+      momentumRef.current = Math.abs(v) >= MOMENTUM_MIN_VELOCITY && next > 0 && next < max ? requestAnimationFrame(step) : 0;
+    };
+    momentumRef.current = requestAnimationFrame(step);
+  }, []);
+
+  /**
+   * Drags the thumb with a pointer from `startEvent` until it's released: the body scrolls in
+   * proportion to the pointer's movement along the track. Touch and pen releases hand the
+   * recent speed to startMomentum; a mouse drag stops where it's let go.
+   */
+  const dragThumb = useCallback(startEvent => {
     const body = bodyRef.current;
     if (!body) return;
-    const startY = e.clientY;
-    const startScrollTop = body.scrollTop;
     const scrollRange = body.scrollHeight - body.clientHeight;
     if (scrollRange <= 0) return;
+    const pointerId = startEvent.pointerId;
+    const startY = startEvent.clientY;
+    const startScrollTop = body.scrollTop;
     const trackHeight = body.clientHeight;
     const thumbRatio = body.clientHeight / body.scrollHeight;
     const thumbHeight = trackHeight * thumbRatio;
     const maxThumbTop = Math.max(0, trackHeight - thumbHeight);
+    /* Recent { t, scrollTop } samples for the release velocity */
+    const samples = [{ t: startEvent.timeStamp, scrollTop: startScrollTop }];
 
-    const onMouseMove = (e2) => {
-      const dy = e2.clientY - startY;
+    const onPointerMove = (e) => {
+      if (e.pointerId !== pointerId) return;
+      const dy = e.clientY - startY;
       const ratio = maxThumbTop > 0 ? dy / maxThumbTop : 0;
       body.scrollTop = Math.max(0, Math.min(scrollRange, startScrollTop + ratio * scrollRange));
+      samples.push({ t: e.timeStamp, scrollTop: body.scrollTop });
+      while (samples.length > 2 && e.timeStamp - samples[0].t > VELOCITY_WINDOW_MS) samples.shift();
     };
-    const onMouseUp = () => {
-      window.removeEventListener('mousemove', onMouseMove);
-      window.removeEventListener('mouseup', onMouseUp);
+    const onPointerUp = (e) => {
+      if (e.pointerId !== pointerId) return;
+      window.removeEventListener('pointermove', onPointerMove);
+      window.removeEventListener('pointerup', onPointerUp);
+      window.removeEventListener('pointercancel', onPointerUp);
+      if (e.type !== 'pointerup' || startEvent.pointerType === 'mouse') return;
+      const first = samples[0];
+      const lastSample = samples[samples.length - 1];
+      const dt = e.timeStamp - first.t;
+      if (dt > 0 && e.timeStamp - lastSample.t < VELOCITY_WINDOW_MS) startMomentum((lastSample.scrollTop - first.scrollTop) / dt);
     };
-    window.addEventListener('mousemove', onMouseMove);
-    window.addEventListener('mouseup', onMouseUp);
+    window.addEventListener('pointermove', onPointerMove);
+    window.addEventListener('pointerup', onPointerUp);
+    window.addEventListener('pointercancel', onPointerUp);
+  }, [startMomentum]);
+
+  /** Pressing the track (outside the thumb) centres the thumb on that point, then keeps dragging from there. */
+  const handleTrackPointerDown = useCallback((e) => {
+    if (e.button > 0) return;
+    stopMomentum();
+    const body = bodyRef.current;
+    const track = trackRef.current;
+    if (!body || !track || body.scrollHeight <= body.clientHeight) return;
+    e.preventDefault();
+    const rect = track.getBoundingClientRect();
+    const y = e.clientY - rect.top;
+    const thumbRatio = body.clientHeight / body.scrollHeight;
+    const trackHeight = rect.height;
+    const thumbHeight = trackHeight * thumbRatio;
+    const maxThumbTop = trackHeight - thumbHeight;
+    const thumbTop = Math.max(0, Math.min(y - thumbHeight / 2, maxThumbTop));
+    const scrollRange = body.scrollHeight - body.clientHeight;
+    body.scrollTop = (thumbTop / maxThumbTop) * scrollRange;
+    dragThumb(e);
+  }, [stopMomentum, dragThumb]);
+
+  /** Scrollbar keyboard control: arrows step, PageUp/PageDown move by most of a screen, Home/End jump to the ends. */
+  const handleTrackKeyDown = useCallback(e => {
+    const body = bodyRef.current;
+    if (!body) return;
+    const pageStep = body.clientHeight * 0.9;
+    const max = body.scrollHeight - body.clientHeight;
+    let next;
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowRight':
+        next = body.scrollTop + SCROLL_STEP_PX;
+        break;
+      case 'ArrowUp':
+      case 'ArrowLeft':
+        next = body.scrollTop - SCROLL_STEP_PX;
+        break;
+      case 'PageDown':
+        next = body.scrollTop + pageStep;
+        break;
+      case 'PageUp':
+        next = body.scrollTop - pageStep;
+        break;
+      case 'Home':
+        next = 0;
+        break;
+      case 'End':
+        next = max;
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+    body.scrollTop = Math.max(0, Math.min(max, next));
   }, []);
 
+  const handleThumbPointerDown = useCallback((e) => {
+    if (e.button > 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    stopMomentum();
+    dragThumb(e);
+  }, [stopMomentum, dragThumb]);
+
   const { scrollHeight, clientHeight } = scrollMetrics;
   const scrollRange = Math.max(0, scrollHeight - clientHeight);
   const thumbRatio = scrollHeight > 0 ? clientHeight / scrollHeight : 1;
@@ -200,44 +472,65 @@ const PageContent = memo(forwardRef(function PageContent({ page, isReturning },
   return (
     <div
       className={`page-content ${isReturning ? 'page-content--returning' : ''}`}
-      aria-label={`${title} page content`}
+      role="region"
+      aria-label={t('panel.content', { title })}
     >
-      <div ref={ref} className="page-content__panel">
-        {/* Fake title bar: three dots + label (e.g. "ABOUT.txt") like a small terminal window */}
+      {/* tabIndex -1: focusable from script (App focuses it on open) but not an extra Tab stop */}
+      <div ref={ref} className="page-content__panel" tabIndex={-1} onClick={streaming ? skip : undefined}>
+        {/* Fake title bar: three dots + label (e.g. "ABOUT.txt", "RESUME/PROJECTS.txt") like a small terminal window */}
         <div className="page-content__title-bar">
           <span className="page-content__title-dot" />
           <span className="page-content__title-dot" />
           <span className="page-content__title-dot" />
-          <span className="page-content__title-label">{title}.txt</span>
+          <span className="page-content__title-label">{titlePath}.txt</span>
         </div>
         {/* Subtle horizontal scanline overlay for CRT feel */}
         <div className="page-content__scanline" aria-hidden="true" />
         <div className="page-content__body-wrapper">
           <div
             ref={bodyRef}
+            id={bodyId}
             className={`page-content__body ${hasOverflow ? 'page-content__body--scrollable' : ''}`}
             onScroll={handleScroll}
+            onClick={handleBodyClick}
+            onPointerDown={stopMomentum}
+            onWheel={stopMomentum}
           >
-            {lines.map((line, i) => (
-              <TerminalLine key={i} line={line} />
+            {!cleared && visibleLines.map((line, i) => (
+              <TerminalLine
+                key={i}
+                index={i}
+                line={line}
+                onOpenChild={onOpenChild}
+                cursor={streaming && i === visibleLines.length - 1}
+                matchTerms={highlight?.lineIndex === i ? highlight.terms : undefined}
+              />
+            ))}
+            {session.map((line, i) => (
+              <TerminalLine key={`session-${i}`} line={line} onOpenChild={onOpenChild} />
             ))}
-            {/* Blinking cursor at end of "output" */}
-            <span className="page-content__cursor" aria-hidden="true" />
+            {/* Live prompt at the end of the output (once streaming has finished); shows the blinking cursor while idle */}
+            {!streaming && <TerminalPrompt ref={promptRef} onSubmit={handleCommand} onCandidates={handleCandidates} />}
           </div>
           {hasOverflow && (
             <div
               ref={trackRef}
               className="page-content__scrollbar-track"
               role="scrollbar"
+              tabIndex={0}
+              aria-label={t('panel.scroll', { title })}
+              aria-controls={bodyId}
+              aria-orientation="vertical"
               aria-valuenow={scrollRange > 0 ? Math.round((scrollTop / scrollRange) * 100) : 0}
               aria-valuemin={0}
               aria-valuemax={100}
-              onMouseDown={handleTrackClick}
+              onPointerDown={handleTrackPointerDown}
+              onKeyDown={handleTrackKeyDown}
             >
               <div
                 className="page-content__scrollbar-thumb"
                 style={{ height: thumbHeightPx, transform: `translateY(${thumbTop}px)` }}
-                onMouseDown={handleThumbMouseDown}
+                onPointerDown={handleThumbPointerDown}
               />
             </div>
           )}
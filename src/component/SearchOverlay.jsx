@@ -0,0 +1,128 @@
+/**
+ * SearchOverlay.jsx — Full-text search across every page (opened with / or Ctrl+K)
+ *
+ * A terminal-styled dialog over the site: type to search the lines of every page
+ * (see search.js), move through the ranked results with ↑/↓, Enter or click to pick
+ * one. It searches the pages in the site's language (useTranslation). Picking calls onPick — App then zooms to that page and PageContent
+ * scrolls to and highlights the matched line. Escape or clicking outside closes.
+ *
+ * Props:
+ * - onPick(result, terms): a result was chosen ({ path, lineIndex, ... } from searchPages)
+ *   along with the query's words, so the panel can highlight them
+ * - onClose(): the overlay should close (focus goes back to where it was)
+ */
+
+import { memo, useState, useMemo, useEffect, useRef, useCallback } from 'react';
+import { searchPages, queryTerms, splitMatches } from '../search';
+import { pagesFor } from '../pages';
+import useTranslation from '../hooks/useTranslation';
+import './SearchOverlay.css';
+
+/** Text with every query match wrapped in a <mark>. */
+function Highlighted({ text, terms, locale }) {
+  return splitMatches(text, terms, locale).map((part, i) =>
+    part.match ? <mark key={i} className="search-overlay__match">{part.text}</mark> : part.text
+  );
+}
+
+const SearchOverlay = memo(function SearchOverlay({ onPick, onClose }) {
+  const [query, setQuery] = useState('');
+  const [active, setActive] = useState(0);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+  const { locale, t } = useTranslation();
+
+  const results = useMemo(() => searchPages(query, { pages: pagesFor(locale.id), locale: locale.id }), [query, locale]);
+  const terms = useMemo(() => queryTerms(query, locale.id), [query, locale]);
+
+  /* Focus the input on open; give focus back to whatever had it when we close. */
+  useEffect(() => {
+    const previous = document.activeElement;
+    inputRef.current?.focus();
+    return () => {
+      if (previous && typeof previous.focus === 'function') previous.focus();
+    };
+  }, []);
+
+  /* Keep the active result scrolled into view while moving with the arrow keys. */
+  useEffect(() => {
+    listRef.current?.querySelector(`[data-index="${active}"]`)?.scrollIntoView({ block: 'nearest' });
+  }, [active]);
+
+  const handleChange = useCallback(e => {
+    setQuery(e.target.value);
+    setActive(0);
+  }, []);
+
+  const handleKeyDown = useCallback(e => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      onClose();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActive(i => Math.min(i + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive(i => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter' && results[active]) {
+      e.preventDefault();
+      onPick(results[active], terms);
+    }
+  }, [results, active, terms, onPick, onClose]);
+
+  const handleBackdropMouseDown = useCallback(e => {
+    if (e.target === e.currentTarget) onClose();
+  }, [onClose]);
+
+  return (
+    <div className="search-overlay" onMouseDown={handleBackdropMouseDown}>
+      <div className="search-overlay__panel" role="dialog" aria-modal="true" aria-label={t('search.dialog')}>
+        <label className="search-overlay__prompt">
+          <span aria-hidden="true">/</span>
+          <input
+            ref={inputRef}
+            className="search-overlay__input"
+            type="search"
+            value={query}
+            onChange={handleChange}
+            onKeyDown={handleKeyDown}
+            placeholder={t('search.placeholder')}
+            aria-label={t('search.input')}
+            aria-controls="search-overlay-results"
+            aria-activedescendant={results[active] ? `search-result-${active}` : undefined}
+            autoComplete="off"
+            spellCheck={false}
+          />
+        </label>
+        {terms.length > 0 && (
+          <ul ref={listRef} id="search-overlay-results" className="search-overlay__results" role="listbox">
+            {results.length === 0 && <li className="search-overlay__empty">{t('search.empty')}</li>}
+            {results.map((result, i) => (
+              <li
+                key={`${result.path.join('/')}:${result.lineIndex}`}
+                id={`search-result-${i}`}
+                data-index={i}
+                role="option"
+                aria-selected={i === active}
+                className={`search-overlay__result ${i === active ? 'search-overlay__result--active' : ''}`}
+                onMouseEnter={() => setActive(i)}
+                onClick={() => onPick(result, terms)}
+              >
+                <span className="search-overlay__page">
+                  {result.pageLabel} <span className="search-overlay__line-no">:{result.lineIndex + 1}</span>
+                </span>
+                <span className="search-overlay__snippet">
+                  <Highlighted text={result.snippet} terms={terms} locale={locale.id} />
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="search-overlay__hint" aria-hidden="true">{t('search.hint')}</div>
+      </div>
+    </div>
+  );
+});
+
+export default SearchOverlay;
@@ -14,18 +14,62 @@
  * - play(): GSAP timeline animates all strips' x from start to final; odd/even
  *   stagger or random delay. If loop, timeline repeats with repeatDelay.
  * - teardown(): Kill timeline, revert SplitText, restore DOM so we can rebuild
- *   when text or props change.
+ *   when props change.
+ * - morph(): A new `text` doesn't rebuild the component: the strips are rebuilt for
+ *   the new characters with each one sliding from the character that was on screen
+ *   at its position. Extra characters grow in from zero width; when the text gets
+ *   shorter, "ghost" wrappers slide the leftover characters to a blank and collapse,
+ *   and are removed when the morph lands. A morph started mid-morph replaces it (the
+ *   running timeline is killed and its ghosts removed), so rapid hovers don't pile up
+ *   nodes or timelines. Then the loop carries on with the new text.
+ *
+ * Accessibility: the strips (copies and scramble characters) are decorative, so they
+ * live in an aria-hidden host that can't be selected. The real text is in a transparent
+ * layer laid over them with the same font and wrapping: it's what screen readers read
+ * (the element itself has no aria-label; ARIA doesn't allow naming a paragraph), what
+ * gets selected and what the browser's find matches, even while the loop runs. Both follow `text` (ABOUT → CLICK).
+ *
+ * The strips host's content is owned by this component, not React: React would replace
+ * it with the new string (wiping the strips) whenever `text` changed.
  *
  * When triggerOnce=false (main menu / header), we call create() immediately
  * (no ScrollTrigger) so the animation runs on mount and loops; we also arm
  * hover to re-run the shuffle on mouseenter.
+ *
+ * Inside a ShuffleGroup, a looping Shuffle doesn't repeat a timeline of its own: it
+ * joins the group with one pass of its strips (createPass) and the group's loop plays
+ * it in order with the others (shuffleGroup.js). A morph still plays by itself, then
+ * hands the new strips back to the group.
+ *
+ * A loop pauses while nobody can see it (useShuffleActivity.js): the tab is hidden, the
+ * element is off screen, or an ancestor ShuffleActivity is inactive. Pausing keeps the
+ * timeline's place, so it resumes mid-shuffle instead of jumping; in a group, the group's
+ * loop pauses once none of its members can be seen.
+ *
+ * Unicode: SplitText splits on grapheme clusters, so an emoji or a letter with combining
+ * marks is one strip; scrambleCharset is picked from the same way. It can also name a
+ * preset from shuffleCharsets.js ('latin', 'turkish', 'hebrew', 'digits'), or be 'auto' for
+ * the alphabet of the element's language: `locale`, else the nearest lang attribute
+ * (<html lang>, set by App). `locale` also sets the element's lang,
+ * so text-transform: uppercase follows that language's rules (i → İ in Turkish). The
+ * element's `dir` defaults to "auto": Hebrew or Arabic text runs right to left even on an
+ * English page. The strips themselves are always laid out left to right, so their slide
+ * and the measured character widths don't depend on the direction; shuffleDirection
+ * 'start' / 'end' follow the writing direction (the default 'end' slides towards the end
+ * of the line: rightwards in LTR text, leftwards in RTL), 'left' / 'right' don't.
+ *
+ * onStripLand() is called each time a character's strip lands on the real
+ * character (App plays a tick sound on it); changing it doesn't rebuild.
  */
 
-import React, { useRef, useEffect, useState, useMemo, memo } from 'react';
+import React, { useRef, useEffect, useLayoutEffect, useState, useMemo, memo } from 'react';
 import { gsap } from 'gsap';
 import { ScrollTrigger } from 'gsap/ScrollTrigger';
 import { SplitText as GSAPSplitText } from 'gsap/SplitText';
 import { useGSAP } from '@gsap/react';
+import useShuffleGroup from '../hooks/useShuffleGroup';
+import useShuffleActivity from '../hooks/useShuffleActivity';
+import { graphemes, resolveScrambleCharset } from '../shuffleCharsets';
 import './Shuffle.css';
 
 gsap.registerPlugin(ScrollTrigger, GSAPSplitText, useGSAP);
@@ -34,7 +78,7 @@ const Shuffle = memo(function Shuffle({
   text,
   className = '',
   style = {},
-  shuffleDirection = 'right',
+  shuffleDirection = 'end',
   duration = 0.35,
   maxDelay = 0,
   ease = 'power3.out',
@@ -42,6 +86,8 @@ const Shuffle = memo(function Shuffle({
   rootMargin = '-100px',
   tag = 'p',
   textAlign = 'center',
+  locale,
+  dir = 'auto',
   onShuffleComplete,
   shuffleTimes = 1,
   animationMode = 'evenodd',
@@ -53,17 +99,56 @@ const Shuffle = memo(function Shuffle({
   colorTo,
   triggerOnce = true,
   respectReducedMotion = true,
-  triggerOnHover = true
+  triggerOnHover = true,
+  onStripLand
 }) {
   const ref = useRef(null);
+  const group = useShuffleGroup();
+  const active = useShuffleActivity(ref, loop);
+  /* aria-hidden host that SplitText splits and the strips live in */
+  const stripsRef = useRef(null);
   const [fontsLoaded, setFontsLoaded] = useState(false);
   const [ready, setReady] = useState(false);
 
   const splitRef = useRef(null);
   const wrappersRef = useRef([]);
+  /* Wrappers a shrinking morph is collapsing; removed when it lands or is replaced */
+  const ghostsRef = useRef([]);
+  /* Latest text, and (while the strips exist) the function that morphs to a new one */
+  const textRef = useRef(text);
+  const morphRef = useRef(null);
   const tlRef = useRef(null);
   const playingRef = useRef(false);
   const hoverHandlerRef = useRef(null);
+  /* Latest onStripLand, read by the running timeline so a new callback doesn't rebuild it */
+  const onStripLandRef = useRef(onStripLand);
+  /* Latest activity, and (while the strips exist) the function that pauses or resumes the loop for it */
+  const activeRef = useRef(active);
+  const applyActiveRef = useRef(null);
+  /* Whole graphemes to pick scramble characters from; a new locale swaps them in without rebuilding (so a text change alongside it still morphs) */
+  const scrambleCharsRef = useRef([]);
+
+  /* Before the text effect below, so a morph to text in a new language already scrambles in that language's alphabet. */
+  useLayoutEffect(() => {
+    const language = locale || ref.current?.closest('[lang]')?.lang;
+    scrambleCharsRef.current = graphemes(resolveScrambleCharset(scrambleCharset, language), language);
+  }, [scrambleCharset, locale]);
+
+  useEffect(() => {
+    onStripLandRef.current = onStripLand;
+  }, [onStripLand]);
+
+  useEffect(() => {
+    activeRef.current = active;
+    applyActiveRef.current?.(active);
+  }, [active]);
+
+  /* A new text morphs from the characters on screen once the strips exist; before that (or without animation) it's written in as is. */
+  useLayoutEffect(() => {
+    textRef.current = text;
+    if (morphRef.current) morphRef.current(text);
+    else if (stripsRef.current) stripsRef.current.textContent = text;
+  }, [text]);
 
   /** Wait for fonts so SplitText measures correctly (widths of chars). */
   useEffect(() => {
@@ -85,15 +170,22 @@ const Shuffle = memo(function Shuffle({
 
   useGSAP(
     () => {
-      if (!ref.current || !text || !fontsLoaded) return;
+      if (!ref.current || !stripsRef.current || !textRef.current || !fontsLoaded) return;
       if (respectReducedMotion && window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
         setReady(true);
         onShuffleComplete?.();
         return;
       }
 
-      const el = ref.current;
+      const el = stripsRef.current;
       const start = scrollTriggerStart;
+      /* The writing direction, read by build() */
+      let rtl = false;
+      const hasScrambles = () => scrambleCharsRef.current.length > 0;
+      const randomChar = () => {
+        const chars = scrambleCharsRef.current;
+        return chars[Math.floor(Math.random() * chars.length)] || '';
+      };
 
       const removeHover = () => {
         if (hoverHandlerRef.current && ref.current) {
@@ -102,6 +194,11 @@ const Shuffle = memo(function Shuffle({
         }
       };
 
+      const removeGhosts = () => {
+        ghostsRef.current.forEach(ghost => ghost.remove());
+        ghostsRef.current = [];
+      };
+
       /**
        * Teardown: kill timeline, restore DOM (replace each wrapper with the original char node), revert SplitText.
        * Called before rebuild or on cleanup so we don't leave extra nodes or GSAP instances.
@@ -111,6 +208,7 @@ const Shuffle = memo(function Shuffle({
           tlRef.current.kill();
           tlRef.current = null;
         }
+        removeGhosts();
         if (wrappersRef.current.length) {
           wrappersRef.current.forEach(wrap => {
             const inner = wrap.firstElementChild;
@@ -133,10 +231,13 @@ const Shuffle = memo(function Shuffle({
        * - A wrapper (overflow hidden, fixed width = char width).
        * - An inner strip (will-change: transform) containing: [firstCopy (original), ...scramble copies, real char].
        * We set strip x to startX so the real char is off-screen; animation moves to finalX to reveal it.
-       * data-orig="1" marks the "real" char for teardown. data-start-x / data-final-x drive the tween.
+       * data-orig="1" marks the "real" char for teardown, data-from="1" the copy the strip starts on (morph() swaps
+       * in the previous character there). data-start-x / data-final-x drive the tween.
        */
       const build = () => {
         teardown();
+        el.textContent = textRef.current;
+        rtl = getComputedStyle(el).direction === 'rtl';
 
         splitRef.current = new GSAPSplitText(el, {
           type: 'chars',
@@ -151,7 +252,6 @@ const Shuffle = memo(function Shuffle({
         wrappersRef.current = [];
 
         const rolls = Math.max(1, Math.floor(shuffleTimes));
-        const rand = set => set.charAt(Math.floor(Math.random() * set.length)) || '';
 
         chars.forEach(ch => {
           const parent = ch.parentElement;
@@ -165,7 +265,8 @@ const Shuffle = memo(function Shuffle({
             display: 'inline-block',
             overflow: 'hidden',
             width: w + 'px',
-            verticalAlign: 'baseline'
+            verticalAlign: 'baseline',
+            direction: 'ltr'
           });
 
           const inner = document.createElement('span');
@@ -179,6 +280,7 @@ const Shuffle = memo(function Shuffle({
           wrap.appendChild(inner);
 
           const firstOrig = ch.cloneNode(true);
+          firstOrig.setAttribute('data-from', '1');
           Object.assign(firstOrig.style, { display: 'inline-block', width: w + 'px', textAlign: 'center' });
 
           ch.setAttribute('data-orig', '1');
@@ -187,44 +289,121 @@ const Shuffle = memo(function Shuffle({
           inner.appendChild(firstOrig);
           for (let k = 0; k < rolls; k++) {
             const c = ch.cloneNode(true);
-            if (scrambleCharset) c.textContent = rand(scrambleCharset);
+            if (hasScrambles()) c.textContent = randomChar();
             Object.assign(c.style, { display: 'inline-block', width: w + 'px', textAlign: 'center' });
             inner.appendChild(c);
           }
           inner.appendChild(ch);
+          placeStrip(inner, w);
 
-          const steps = rolls + 1;
-          let startX = 0;
-          let finalX = -steps * w;
-          if (shuffleDirection === 'right') {
-            const firstCopy = inner.firstElementChild;
-            const real = inner.lastElementChild;
-            if (real) inner.insertBefore(real, inner.firstChild);
-            if (firstCopy) inner.appendChild(firstCopy);
-            startX = -steps * w;
-            finalX = 0;
-          }
+          wrappersRef.current.push(wrap);
+        });
+      };
 
-          gsap.set(inner, { x: startX, force3D: true });
-          if (colorFrom) inner.style.color = colorFrom;
+      /** shuffleDirection as a side of the screen: 'start' and 'end' depend on the text's direction. */
+      const slidesRight = () => {
+        if (shuffleDirection === 'end') return !rtl;
+        if (shuffleDirection === 'start') return rtl;
+        return shuffleDirection === 'right';
+      };
 
-          inner.setAttribute('data-final-x', String(finalX));
-          inner.setAttribute('data-start-x', String(startX));
+      /**
+       * Orders a strip built as [from, ...scramble copies, real] for shuffleDirection and puts it at its start x
+       * (cells are w wide, laid out left to right whatever the text's direction). Sliding right reverses it to
+       * [real, ..., from] and slides it from the left.
+       */
+      const placeStrip = (inner, w) => {
+        const steps = inner.children.length - 1;
+        let startX = 0;
+        let finalX = -steps * w;
+        if (slidesRight()) {
+          const firstCopy = inner.firstElementChild;
+          const real = inner.lastElementChild;
+          if (real) inner.insertBefore(real, inner.firstChild);
+          if (firstCopy) inner.appendChild(firstCopy);
+          startX = -steps * w;
+          finalX = 0;
+        }
 
-          wrappersRef.current.push(wrap);
+        gsap.set(inner, { x: startX, force3D: true });
+        if (colorFrom) inner.style.color = colorFrom;
+
+        inner.setAttribute('data-final-x', String(finalX));
+        inner.setAttribute('data-start-x', String(startX));
+      };
+
+      /** A wrapper w wide whose strip slides from `char` to a blank; morph() collapses it to zero width. */
+      const createGhost = (char, w) => {
+        const wrap = document.createElement('span');
+        Object.assign(wrap.style, { display: 'inline-block', overflow: 'hidden', width: w + 'px', verticalAlign: 'baseline', direction: 'ltr' });
+        wrap.setAttribute('data-ghost', '1');
+        wrap.setAttribute('data-morph-width', String(w));
+        const inner = document.createElement('span');
+        Object.assign(inner.style, { display: 'inline-block', whiteSpace: 'nowrap', willChange: 'transform' });
+        wrap.appendChild(inner);
+        const rolls = Math.max(1, Math.floor(shuffleTimes));
+        [char, ...Array(rolls).fill(char), '\u00a0'].forEach(content => {
+          const cell = document.createElement('span');
+          cell.className = 'shuffle-char';
+          cell.textContent = content;
+          Object.assign(cell.style, { display: 'inline-block', width: w + 'px', textAlign: 'center' });
+          inner.appendChild(cell);
         });
+        placeStrip(inner, w);
+        return wrap;
       };
 
-      const inners = () => wrappersRef.current.map(w => w.firstElementChild);
+      /**
+       * morph(): rebuilds the strips for the new text with each one starting on the character shown at its position
+       * before (and at its width then, so a morph that replaces a morph carries on from where it was). Past the old
+       * end a strip starts blank at zero width; old characters past the new end get ghost wrappers.
+       */
+      const morph = () => {
+        const previous = wrappersRef.current.map(w => ({
+          char: w.querySelector('[data-orig="1"]')?.textContent || '',
+          width: parseFloat(w.style.width) || 0
+        }));
+        build();
+        const wraps = wrappersRef.current;
+        wraps.forEach((wrap, i) => {
+          const from = wrap.querySelector('[data-from="1"]');
+          if (from) from.textContent = previous[i] ? previous[i].char : '\u00a0';
+          wrap.setAttribute('data-morph-width', String(previous[i]?.width ?? 0));
+        });
+        let anchor = wraps[wraps.length - 1] || null;
+        previous.slice(wraps.length).forEach(({ char, width }) => {
+          const ghost = createGhost(char, width);
+          if (anchor) anchor.after(ghost);
+          else el.appendChild(ghost);
+          anchor = ghost;
+          ghostsRef.current.push(ghost);
+        });
+        if (hasScrambles()) randomizeScrambles();
+        play({ morphing: true });
+      };
+
+      /** After a morph lands: the ghosts go and each strip starts from its own character again, as build() made it. */
+      const settleMorph = () => {
+        removeGhosts();
+        wrappersRef.current.forEach(wrap => {
+          wrap.removeAttribute('data-morph-width');
+          const from = wrap.querySelector('[data-from="1"]');
+          const real = wrap.querySelector('[data-orig="1"]');
+          if (from && real) from.textContent = real.textContent;
+        });
+      };
+
+      const allWrappers = () => [...wrappersRef.current, ...ghostsRef.current];
+      const inners = () => allWrappers().map(w => w.firstElementChild);
 
       const randomizeScrambles = () => {
-        if (!scrambleCharset) return;
-        wrappersRef.current.forEach(w => {
+        if (!hasScrambles()) return;
+        allWrappers().forEach(w => {
           const strip = w.firstElementChild;
           if (!strip) return;
           const kids = Array.from(strip.children);
           for (let i = 1; i < kids.length - 1; i++) {
-            kids[i].textContent = scrambleCharset.charAt(Math.floor(Math.random() * scrambleCharset.length));
+            kids[i].textContent = randomChar();
           }
         });
       };
@@ -242,36 +421,14 @@ const Shuffle = memo(function Shuffle({
         });
       };
 
+      const toStart = strips => gsap.set(strips, { x: (i, t) => parseFloat(t.getAttribute('data-start-x') || '0') });
+
       /**
-       * play(): Create a GSAP timeline that tweens each strip's x from start to final.
-       * If animationMode === 'evenodd', odd and even strips run with a stagger; otherwise random delay per strip.
-       * If loop, timeline repeats with repeatDelay. On complete (when !loop) we cleanup and arm hover.
+       * Adds the tweens that slide each strip from its start to its final x to `tl`: odd and even strips with a
+       * stagger for animationMode 'evenodd', otherwise a random delay per strip.
        */
-      const play = () => {
-        const strips = inners();
-        if (!strips.length) return;
-
-        playingRef.current = true;
-
-        const tl = gsap.timeline({
-          smoothChildTiming: true,
-          repeat: loop ? -1 : 0,
-          repeatDelay: loop ? loopDelay : 0,
-          onRepeat: () => {
-            if (scrambleCharset) randomizeScrambles();
-            gsap.set(strips, { x: (i, t) => parseFloat(t.getAttribute('data-start-x') || '0') });
-            onShuffleComplete?.();
-          },
-          onComplete: () => {
-            playingRef.current = false;
-            if (!loop) {
-              cleanupToStill();
-              if (colorTo) gsap.set(strips, { color: colorTo });
-              onShuffleComplete?.();
-              armHover();
-            }
-          }
-        });
+      const addStripTweens = (tl, strips) => {
+        const landed = () => onStripLandRef.current?.();
 
         const addTween = (targets, at) => {
           tl.to(
@@ -281,7 +438,7 @@ const Shuffle = memo(function Shuffle({
               duration,
               ease,
               force3D: true,
-              stagger: animationMode === 'evenodd' ? stagger : 0
+              stagger: { each: animationMode === 'evenodd' ? stagger : 0, onComplete: landed }
             },
             at
           );
@@ -306,17 +463,93 @@ const Shuffle = memo(function Shuffle({
                 x: parseFloat(strip.getAttribute('data-final-x') || '0'),
                 duration,
                 ease,
-                force3D: true
+                force3D: true,
+                onComplete: landed
               },
               d
             );
             if (colorFrom && colorTo) tl.fromTo(strip, { color: colorFrom }, { color: colorTo, duration, ease }, d);
           });
         }
+      };
+
+      /**
+       * play(): Create a GSAP timeline that tweens each strip's x from start to final (addStripTweens).
+       * If loop, timeline repeats with repeatDelay. On complete (when !loop) we cleanup and arm hover.
+       * A morph plays once, with the wrappers' width tweens, and then the loop (if any) starts again after
+       * `delay` (loopDelay, the same pause as between repeats).
+       */
+      const play = ({ morphing = false, delay = 0 } = {}) => {
+        const strips = inners();
+        if (!strips.length) return;
+
+        playingRef.current = true;
+        const repeating = loop && !morphing;
+
+        const tl = gsap.timeline({
+          smoothChildTiming: true,
+          /* A loop that can't be seen starts paused; applyActive() resumes it */
+          paused: loop && !activeRef.current,
+          delay,
+          repeat: repeating ? -1 : 0,
+          repeatDelay: repeating ? loopDelay : 0,
+          /* After a morph the strips rest on their real characters until the delay is over */
+          onStart: delay ? () => toStart(strips) : undefined,
+          onRepeat: () => {
+            if (hasScrambles()) randomizeScrambles();
+            toStart(strips);
+            onShuffleComplete?.();
+          },
+          onComplete: () => {
+            playingRef.current = false;
+            if (morphing) settleMorph();
+            if (loop) {
+              /* Only a morph completes while looping: the loop carries on with the new text (in the group, if any). */
+              onShuffleComplete?.();
+              if (group) group.refresh();
+              else play({ delay: loopDelay });
+              return;
+            }
+            cleanupToStill();
+            if (colorTo) gsap.set(strips, { color: colorTo });
+            onShuffleComplete?.();
+            armHover();
+          }
+        });
+
+        addStripTweens(tl, strips);
+
+        if (morphing) {
+          allWrappers().forEach(wrap => {
+            const from = parseFloat(wrap.getAttribute('data-morph-width'));
+            const to = wrap.hasAttribute('data-ghost') ? 0 : parseFloat(wrap.style.width);
+            if (from !== to) tl.fromTo(wrap, { width: from }, { width: to, duration, ease }, 0);
+          });
+        }
 
         tlRef.current = tl;
       };
 
+      /**
+       * One shuffle of the current strips as a timeline of its own, for a ShuffleGroup's loop: it puts the strips
+       * back at their start (with fresh scramble characters) each time the group's cycle reaches it.
+       */
+      const createPass = () => {
+        const strips = inners();
+        if (!strips.length) return null;
+        const tl = gsap.timeline({ onComplete: () => onShuffleComplete?.() });
+        tl.call(
+          () => {
+            if (hasScrambles()) randomizeScrambles();
+            toStart(strips);
+          },
+          null,
+          0
+        );
+        addStripTweens(tl, strips);
+        return tl;
+      };
+
       /** Add mouseenter listener to re-run build + play when user hovers (and we're not currently playing). */
       const armHover = () => {
         if (!triggerOnHover || !ref.current) return;
@@ -324,19 +557,36 @@ const Shuffle = memo(function Shuffle({
         const handler = () => {
           if (playingRef.current) return;
           build();
-          if (scrambleCharset) randomizeScrambles();
+          if (hasScrambles()) randomizeScrambles();
           play();
         };
         hoverHandlerRef.current = handler;
         ref.current.addEventListener('mouseenter', handler);
       };
 
+      /* Inside a ShuffleGroup a looping Shuffle joins the group's loop instead of playing its own; this leaves it. */
+      let member = null;
+      let leaveGroup = null;
+
+      /** Pauses the loop where it is, or resumes it from there: its own timeline (a morph, or the loop outside a group) and its part in the group. */
+      const applyActive = isActive => {
+        if (!loop) return;
+        if (member) group.setActive(member, isActive);
+        if (isActive) tlRef.current?.resume();
+        else tlRef.current?.pause();
+      };
+
       /** Full setup: build DOM, (optional) randomize scramble chars, play timeline, arm hover, set ready so text is visible. */
       const create = () => {
         build();
-        if (scrambleCharset) randomizeScrambles();
-        play();
+        if (hasScrambles()) randomizeScrambles();
+        if (group && loop) {
+          member = { el: ref.current, pass: createPass, active: activeRef.current };
+          leaveGroup = group.join(member);
+        } else play();
         armHover();
+        morphRef.current = morph;
+        applyActiveRef.current = applyActive;
         setReady(true);
       };
 
@@ -344,6 +594,9 @@ const Shuffle = memo(function Shuffle({
         /* Main menu / header: no scroll trigger; run animation immediately so text (e.g. CLICK → RESUME) works. */
         create();
         return () => {
+          leaveGroup?.();
+          morphRef.current = null;
+          applyActiveRef.current = null;
           removeHover();
           teardown();
           setReady(false);
@@ -351,7 +604,7 @@ const Shuffle = memo(function Shuffle({
       }
 
       const st = ScrollTrigger.create({
-        trigger: el,
+        trigger: ref.current,
         start,
         once: true,
         onEnter: create
@@ -359,6 +612,9 @@ const Shuffle = memo(function Shuffle({
 
       return () => {
         st.kill();
+        leaveGroup?.();
+        morphRef.current = null;
+        applyActiveRef.current = null;
         removeHover();
         teardown();
         setReady(false);
@@ -366,7 +622,6 @@ const Shuffle = memo(function Shuffle({
     },
     {
       dependencies: [
-        text,
         duration,
         maxDelay,
         ease,
@@ -379,12 +634,14 @@ const Shuffle = memo(function Shuffle({
         loopDelay,
         stagger,
         scrambleCharset,
+        dir,
         colorFrom,
         colorTo,
         triggerOnce,
         respectReducedMotion,
         triggerOnHover,
-        onShuffleComplete
+        onShuffleComplete,
+        group
       ],
       scope: ref
     }
@@ -394,7 +651,12 @@ const Shuffle = memo(function Shuffle({
   const classes = useMemo(() => `shuffle-parent ${ready ? 'is-ready' : ''} ${className}`, [ready, className]);
 
   const Tag = tag || 'p';
-  return React.createElement(Tag, { ref, className: classes, style: commonStyle }, text);
+  return React.createElement(
+    Tag,
+    { ref, className: classes, style: commonStyle, lang: locale, dir },
+    <span className="shuffle-parent__text">{text}</span>,
+    <span ref={stripsRef} className="shuffle-parent__strips" aria-hidden="true" />
+  );
 });
 
 export default Shuffle;
@@ -0,0 +1,16 @@
+/**
+ * ShuffleActivity.jsx — Pauses the looping Shuffles inside it while they can't be seen
+ *
+ * IntersectionObserver can't tell when another element covers a Shuffle, so App marks those
+ * stretches itself: <ShuffleActivity active={false}> pauses every looping Shuffle below it (and
+ * the ShuffleGroups they're in) until it's active again; they resume where they stopped.
+ * Nested ShuffleActivity only narrow it: a subtree is active when it and all its ancestors are.
+ */
+
+import { useContext } from 'react';
+import { ShuffleActivityContext } from '../hooks/useShuffleActivity';
+
+export default function ShuffleActivity({ active = true, children }) {
+  const ancestorsActive = useContext(ShuffleActivityContext);
+  return <ShuffleActivityContext.Provider value={ancestorsActive && active}>{children}</ShuffleActivityContext.Provider>;
+}
@@ -0,0 +1,39 @@
+/**
+ * ShuffleGroup.jsx — Plays the looping Shuffles inside it in order, on one shared loop clock
+ *
+ * Wrap the Shuffles (at any depth) and their loops join a single master timeline instead
+ * of each repeating its own (see shuffleGroup.js): they play as a cascade, a wave or all
+ * together and never drift out of step. Shuffles with loop={false} aren't affected.
+ *
+ * Props:
+ * - order: 'cascade' (default) | 'wave' | 'together' | (index, count) → offset in staggers
+ * - stagger: seconds between members' starts (default 0.12)
+ * - loopDelay: pause in seconds before the cycle repeats (default 1)
+ * - autoPlay: start as soon as the members join (default true); read once on mount.
+ *   With false the group waits for play() on its ref, e.g. to start a header's shuffle
+ *   when the terminal zoom reaches a given progress.
+ *
+ * The ref is the group: play(), pause() and `timeline` (the master GSAP timeline, or null
+ * while no member has joined) for syncing other animations to the group.
+ */
+
+import { forwardRef, useEffect, useImperativeHandle, useState } from 'react';
+import { createShuffleGroup } from '../shuffleGroup';
+import { ShuffleGroupContext } from '../hooks/useShuffleGroup';
+
+const ShuffleGroup = forwardRef(function ShuffleGroup({ order = 'cascade', stagger = 0.12, loopDelay = 1, autoPlay = true, children }, ref) {
+  const [group] = useState(() => createShuffleGroup({ order, stagger, loopDelay, autoPlay }));
+
+  /* New options re-time the running cycle without the members rebuilding their strips. */
+  useEffect(() => {
+    group.setOptions({ order, stagger, loopDelay });
+  }, [group, order, stagger, loopDelay]);
+
+  useEffect(() => () => group.dispose(), [group]);
+
+  useImperativeHandle(ref, () => group, [group]);
+
+  return <ShuffleGroupContext.Provider value={group}>{children}</ShuffleGroupContext.Provider>;
+});
+
+export default ShuffleGroup;
@@ -0,0 +1,39 @@
+/**
+ * SoundToggle.jsx — Button that switches the optional sound layer on and off
+ *
+ * A small speaker icon next to the theme swatches; pressed while sound is on. Not rendered
+ * when the browser has no Web Audio.
+ *
+ * Props:
+ * - muted: whether sound is off (the default)
+ * - onToggle(): flip it (useSound saves the choice)
+ */
+
+import { memo } from 'react';
+import useTranslation from '../hooks/useTranslation';
+import './SoundToggle.css';
+
+const SoundToggle = memo(function SoundToggle({ muted, onToggle }) {
+  const { t } = useTranslation();
+  return (
+    <button
+      type="button"
+      className={`sound-toggle ${muted ? '' : 'sound-toggle--on'}`}
+      aria-pressed={!muted}
+      aria-label={t('sound.label')}
+      title={t(muted ? 'sound.off' : 'sound.on')}
+      onClick={onToggle}
+    >
+      <svg viewBox="0 0 16 16" width="14" height="14" aria-hidden="true" focusable="false">
+        <path d="M2 6h3l4-3v10l-4-3H2z" fill="currentColor" />
+        {muted ? (
+          <path d="M11 6l4 4M15 6l-4 4" stroke="currentColor" strokeWidth="1.5" fill="none" />
+        ) : (
+          <path d="M11 5.5a3.5 3.5 0 0 1 0 5M12.5 3.5a6 6 0 0 1 0 9" stroke="currentColor" strokeWidth="1.5" fill="none" />
+        )}
+      </svg>
+    </button>
+  );
+});
+
+export default SoundToggle;
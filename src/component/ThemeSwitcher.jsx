@@ -0,0 +1,38 @@
+/**
+ * ThemeSwitcher.jsx — Small row of colour swatches for picking the site theme
+ *
+ * One swatch per entry in themes.js, filled with that theme's accent colour; the
+ * current one is marked pressed. Sits in the top-right corner controls, above the terminal.
+ * The swatches' names are the "theme.<id>" strings in i18n.js, in the site's language.
+ *
+ * Props:
+ * - themeId: id of the current theme
+ * - onSelect(id): a swatch was picked (App saves and applies it via useTheme)
+ */
+
+import { memo } from 'react';
+import { THEMES } from '../themes';
+import useTranslation from '../hooks/useTranslation';
+import './ThemeSwitcher.css';
+
+const ThemeSwitcher = memo(function ThemeSwitcher({ themeId, onSelect }) {
+  const { t } = useTranslation();
+  return (
+    <div className="theme-switcher" role="group" aria-label={t('theme.label')}>
+      {THEMES.map(theme => (
+        <button
+          key={theme.id}
+          type="button"
+          className={`theme-switcher__swatch ${theme.id === themeId ? 'theme-switcher__swatch--active' : ''}`}
+          style={{ '--swatch': `rgb(${theme.vars['--theme-accent-rgb']})`, '--swatch-bg': theme.vars['--theme-background'] }}
+          aria-pressed={theme.id === themeId}
+          aria-label={t(`theme.${theme.id}`)}
+          title={t(`theme.${theme.id}`)}
+          onClick={() => onSelect(theme.id)}
+        />
+      ))}
+    </div>
+  );
+});
+
+export default ThemeSwitcher;
@@ -0,0 +1,64 @@
+/**
+ * glyphAtlas.js — Character atlas and message encoding for the FaultyTerminal grid
+ *
+ * The shader can draw characters in chosen cells of its digit grid. It needs two things:
+ * - an atlas: every supported character drawn once into a canvas, in a grid of equal cells
+ *   (uploaded as a texture; glyph i sits at column i % ATLAS_COLUMNS, row i / ATLAS_COLUMNS)
+ * - a message: the glyph index of each character to show, written into a 1-pixel-high
+ *   texture so the shader can look up "which glyph is in column n" without uniform arrays
+ *
+ * The charset is printable ASCII plus the Turkish letters, so both site languages can be
+ * spelled; anything else is drawn as a space.
+ */
+
+export const GLYPH_CHARSET =
+  Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)).join('') + 'ÇĞİÖŞÜçğıöşü';
+
+export const ATLAS_COLUMNS = 16;
+export const ATLAS_ROWS = 8;
+/** Longest message the shader can show (width of the message texture). */
+export const MAX_MESSAGE_LENGTH = 64;
+
+/** Size in px of one glyph cell in the atlas canvas. */
+const GLYPH_CELL_PX = 48;
+
+const GLYPH_INDEX = new Map(Array.from(GLYPH_CHARSET, (char, i) => [char, i]));
+
+/**
+ * Draws every glyph of GLYPH_CHARSET white on transparent, centred in its cell, into a
+ * canvas (ATLAS_COLUMNS × ATLAS_ROWS cells). Bold monospace so it reads at small sizes.
+ * In a worker (FaultyTerminal's offscreen mode), where there is no document, the canvas is
+ * an OffscreenCanvas.
+ */
+export function drawGlyphAtlas() {
+  const width = ATLAS_COLUMNS * GLYPH_CELL_PX;
+  const height = ATLAS_ROWS * GLYPH_CELL_PX;
+  const canvas = typeof document === 'undefined' ? new OffscreenCanvas(width, height) : document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.font = `bold ${Math.round(GLYPH_CELL_PX * 0.8)}px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace`;
+  Array.from(GLYPH_CHARSET).forEach((char, i) => {
+    const x = (i % ATLAS_COLUMNS) * GLYPH_CELL_PX + GLYPH_CELL_PX / 2;
+    const y = Math.floor(i / ATLAS_COLUMNS) * GLYPH_CELL_PX + GLYPH_CELL_PX / 2;
+    ctx.fillText(char, x, y);
+  });
+  return canvas;
+}
+
+/**
+ * Writes the glyph indexes of text into data (RGBA, MAX_MESSAGE_LENGTH pixels; the index is
+ * in the red channel) and returns how many characters were written. Text longer than the
+ * buffer is cut; characters outside the charset become spaces.
+ */
+export function encodeMessage(text, data) {
+  const chars = Array.from(text || '').slice(0, MAX_MESSAGE_LENGTH);
+  data.fill(0);
+  chars.forEach((char, i) => {
+    data[i * 4] = GLYPH_INDEX.get(char) ?? 0;
+  });
+  return chars.length;
+}
@@ -0,0 +1,31 @@
+/**
+ * useLocale.js — Current site language (see i18n.js), applied to the page and persisted
+ *
+ * Starts from the "?lang=" URL parameter, else the saved choice, else the browser's
+ * preferred languages, else English. Returns the locale object ({ id, label, short, dir },
+ * set as lang / dir on <html> here), t(key, params) for its UI strings and
+ * selectLocale(id), which also saves the choice. App provides { locale, t } to the
+ * components below it through LocaleContext (useTranslation.js).
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { findLocale, readInitialLocaleId, saveLocaleId, applyLocale, translate } from '../i18n';
+
+export default function useLocale() {
+  const [localeId, setLocaleId] = useState(readInitialLocaleId);
+  const locale = findLocale(localeId);
+
+  useEffect(() => {
+    applyLocale(locale);
+  }, [locale]);
+
+  const t = useCallback((key, params) => translate(locale.id, key, params), [locale]);
+
+  const selectLocale = useCallback(id => {
+    const next = findLocale(id);
+    setLocaleId(next.id);
+    saveLocaleId(next.id);
+  }, []);
+
+  return { locale, t, selectLocale };
+}
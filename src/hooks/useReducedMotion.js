@@ -0,0 +1,25 @@
+/**
+ * useReducedMotion.js — Tracks the user's "prefers-reduced-motion" setting
+ *
+ * Returns true when the OS/browser asks for reduced motion, and re-renders the
+ * component if the setting changes while the page is open.
+ */
+
+import { useSyncExternalStore } from 'react';
+
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+function subscribe(onChange) {
+  if (!window.matchMedia) return () => {};
+  const mql = window.matchMedia(QUERY);
+  mql.addEventListener('change', onChange);
+  return () => mql.removeEventListener('change', onChange);
+}
+
+function getSnapshot() {
+  return !!window.matchMedia && window.matchMedia(QUERY).matches;
+}
+
+export default function useReducedMotion() {
+  return useSyncExternalStore(subscribe, getSnapshot, () => false);
+}
@@ -0,0 +1,42 @@
+/**
+ * useShuffleActivity.js — Whether a looping Shuffle is worth running right now
+ *
+ * A loop only earns its CPU while someone can see it. Returns false when the tab is in the
+ * background (Page Visibility API), when the element is off screen or clipped away by an
+ * overflow: hidden ancestor (IntersectionObserver), or when an ancestor ShuffleActivity marks
+ * its subtree inactive (e.g. a header covered by the page panel). Shuffle pauses its loop
+ * while this is false and resumes it from the same place.
+ *
+ * With enabled=false (Shuffles that don't loop) nothing is observed and it returns true.
+ */
+
+import { createContext, useContext, useEffect, useState, useSyncExternalStore } from 'react';
+
+/* false inside an inactive ShuffleActivity (component/ShuffleActivity.jsx) */
+export const ShuffleActivityContext = createContext(true);
+
+function subscribeVisibility(onChange) {
+  document.addEventListener('visibilitychange', onChange);
+  return () => document.removeEventListener('visibilitychange', onChange);
+}
+
+function getPageVisible() {
+  return !document.hidden;
+}
+
+export default function useShuffleActivity(ref, enabled = true) {
+  const ancestorsActive = useContext(ShuffleActivityContext);
+  const pageVisible = useSyncExternalStore(subscribeVisibility, getPageVisible, () => true);
+  const [onScreen, setOnScreen] = useState(true);
+
+  /* The observer reports the current state as soon as it starts, so re-enabling picks it up. */
+  useEffect(() => {
+    const el = ref.current;
+    if (!enabled || !el || typeof IntersectionObserver === 'undefined') return;
+    const observer = new IntersectionObserver(([entry]) => setOnScreen(entry.isIntersecting));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [ref, enabled]);
+
+  return !enabled || (ancestorsActive && pageVisible && onScreen);
+}
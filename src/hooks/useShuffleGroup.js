@@ -0,0 +1,14 @@
+/**
+ * useShuffleGroup.js — The ShuffleGroup (shuffleGroup.js) a Shuffle is rendered inside, if any
+ *
+ * ShuffleGroup provides its group through ShuffleGroupContext; a looping Shuffle joins it
+ * instead of repeating a timeline of its own. Outside a group this returns null.
+ */
+
+import { createContext, useContext } from 'react';
+
+export const ShuffleGroupContext = createContext(null);
+
+export default function useShuffleGroup() {
+  return useContext(ShuffleGroupContext);
+}
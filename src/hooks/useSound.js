@@ -0,0 +1,49 @@
+/**
+ * useSound.js — The optional sound layer (see sound.js): mute state and stable triggers
+ *
+ * Muted by default; the choice is saved. The audio engine is only created once sound is
+ * switched on, and resumed on the first pointer / key press (browsers block audio that
+ * starts without a gesture). Returns { muted, available, toggleMuted, tick, setGather };
+ * tick and setGather are stable, so they can go straight to memoized components.
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { createSoundEngine, readSoundMuted, saveSoundMuted, supportsWebAudio } from '../sound';
+
+export default function useSound() {
+  const [muted, setMuted] = useState(readSoundMuted);
+  const engineRef = useRef(null);
+  const mutedRef = useRef(muted);
+  const available = supportsWebAudio();
+
+  useEffect(() => {
+    mutedRef.current = muted;
+    if (!muted && !engineRef.current && available) engineRef.current = createSoundEngine();
+    engineRef.current?.setMuted(muted);
+  }, [muted, available]);
+
+  useEffect(() => {
+    const onGesture = () => {
+      if (!mutedRef.current) engineRef.current?.resume();
+    };
+    window.addEventListener('pointerdown', onGesture);
+    window.addEventListener('keydown', onGesture);
+    return () => {
+      window.removeEventListener('pointerdown', onGesture);
+      window.removeEventListener('keydown', onGesture);
+      engineRef.current?.dispose();
+      engineRef.current = null;
+    };
+  }, []);
+
+  const toggleMuted = useCallback(() => {
+    const next = !mutedRef.current;
+    setMuted(next);
+    saveSoundMuted(next);
+  }, []);
+
+  const tick = useCallback(() => engineRef.current?.tick(), []);
+  const setGather = useCallback(progress => engineRef.current?.setGather(progress), []);
+
+  return { muted, available, toggleMuted, tick, setGather };
+}
@@ -0,0 +1,27 @@
+/**
+ * useTheme.js — Current colour theme (see themes.js), applied to the page and persisted
+ *
+ * Starts from the "?theme=" URL parameter, else the saved choice, else green phosphor.
+ * Returns the theme object (its `shader` props go to FaultyTerminal; its CSS variables
+ * are written onto <html> here) and selectTheme(id), which also saves the choice.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { findTheme, readInitialThemeId, saveThemeId, applyTheme } from '../themes';
+
+export default function useTheme() {
+  const [themeId, setThemeId] = useState(readInitialThemeId);
+  const theme = findTheme(themeId);
+
+  useEffect(() => {
+    applyTheme(theme);
+  }, [theme]);
+
+  const selectTheme = useCallback(id => {
+    const next = findTheme(id);
+    setThemeId(next.id);
+    saveThemeId(next.id);
+  }, []);
+
+  return { theme, selectTheme };
+}
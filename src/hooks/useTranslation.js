@@ -0,0 +1,18 @@
+/**
+ * useTranslation.js — The site language and its UI strings, for components below App
+ *
+ * App provides { locale, t } from useLocale through LocaleContext; components read it here
+ * instead of taking strings as props. Outside a provider it's English.
+ */
+
+import { createContext, useContext } from 'react';
+import { DEFAULT_LOCALE_ID, findLocale, translate } from '../i18n';
+
+export const LocaleContext = createContext({
+  locale: findLocale(DEFAULT_LOCALE_ID),
+  t: (key, params) => translate(DEFAULT_LOCALE_ID, key, params)
+});
+
+export default function useTranslation() {
+  return useContext(LocaleContext);
+}
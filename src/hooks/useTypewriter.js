@@ -0,0 +1,76 @@
+/**
+ * useTypewriter.js — Streams terminal lines in one at a time, typing prompts character by character
+ *
+ * Given the full line array, returns the part that should be on screen right now.
+ * Timeline: wait startDelay (so the panel's entrance animation finishes), then for
+ * each line:
+ * - prompt lines are typed at charDelay ms per character, then pause promptDelay
+ * - output lines print whole (or typed at outputCharDelay ms per character if > 0)
+ * - every line is followed by lineDelay before the next one starts
+ *
+ * Pass options = false (or null) to show everything at once. Streaming is also off
+ * when the user prefers reduced motion. skip() jumps straight to the end.
+ */
+
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import useReducedMotion from './useReducedMotion';
+
+export const TYPEWRITER_DEFAULTS = {
+  startDelay: 600,
+  charDelay: 35,
+  outputCharDelay: 0,
+  lineDelay: 60,
+  promptDelay: 250
+};
+
+/** Typing speed (ms per character) for a line, or 0 if it prints whole. */
+function charDelayFor(line, opts) {
+  if (line.type === 'prompt') return opts.charDelay;
+  if (line.type === 'output') return opts.outputCharDelay;
+  return 0;
+}
+
+export default function useTypewriter(lines, options) {
+  const reducedMotion = useReducedMotion();
+  const enabled = !!options && !reducedMotion;
+  const opts = useMemo(() => ({ ...TYPEWRITER_DEFAULTS, ...(typeof options === 'object' ? options : null) }), [options]);
+
+  /* line: index of the line being printed (-1 = waiting for startDelay); char: characters of it shown so far */
+  const [pos, setPos] = useState({ line: -1, char: 0 });
+  const streaming = enabled && pos.line < lines.length;
+
+  useEffect(() => {
+    if (!streaming) return;
+    let delay;
+    let next;
+    if (pos.line < 0) {
+      delay = opts.startDelay;
+      next = { line: 0, char: 0 };
+    } else {
+      const line = lines[pos.line];
+      const perChar = charDelayFor(line, opts);
+      if (perChar > 0 && pos.char < line.text.length) {
+        delay = perChar;
+        next = { line: pos.line, char: pos.char + 1 };
+      } else {
+        delay = opts.lineDelay + (line.type === 'prompt' ? opts.promptDelay : 0);
+        next = { line: pos.line + 1, char: 0 };
+      }
+    }
+    const t = setTimeout(() => setPos(next), delay);
+    return () => clearTimeout(t);
+  }, [streaming, pos, lines, opts]);
+
+  const skip = useCallback(() => setPos({ line: lines.length, char: 0 }), [lines.length]);
+
+  /* Lines fully printed so far plus the one being typed (cut to the typed characters). */
+  const visibleLines = useMemo(() => {
+    if (!streaming) return lines;
+    if (pos.line < 0) return [];
+    const current = lines[pos.line];
+    const shown = charDelayFor(current, opts) > 0 ? { ...current, text: current.text.slice(0, pos.char) } : current;
+    return [...lines.slice(0, pos.line), shown];
+  }, [streaming, lines, pos, opts]);
+
+  return { visibleLines, streaming, skip };
+}
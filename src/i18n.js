@@ -0,0 +1,172 @@
+/**
+ * i18n.js — Site languages and the UI strings for each
+ *
+ * The site is in English and Turkish. Page copy (labels, titles, content lines) is per
+ * locale in pages.js and src/content/<locale>; this module holds everything else: the
+ * footer, the Return button, the panel prompt and shell messages, search, the corner
+ * controls and the labels screen readers hear.
+ *
+ * The language to start with is the "?lang=tr" URL parameter (saved, like ?theme=), else
+ * the choice saved by the language switcher, else the first of the browser's preferred
+ * languages the site has, else English. applyLocale() sets lang and dir on <html>, so the
+ * browser hyphenates, upper-cases (i → İ in Turkish) and reads aloud in that language.
+ */
+
+/** localStorage key and URL parameter name for the locale id. */
+const STORAGE_KEY = 'locale';
+const URL_PARAM = 'lang';
+
+export const LOCALES = [
+  { id: 'en', label: 'English', short: 'EN', dir: 'ltr' },
+  { id: 'tr', label: 'Türkçe', short: 'TR', dir: 'ltr' }
+];
+
+export const DEFAULT_LOCALE_ID = LOCALES[0].id;
+
+/**
+ * UI strings by locale. "{name}" in a string is filled from translate()'s params. A key
+ * missing from a locale falls back to English, and a key missing there to the key itself.
+ */
+const MESSAGES = {
+  en: {
+    'menu.label': 'Pages',
+    'return': 'Return',
+    'return.toPage': 'Return to {page}',
+    'return.toMain': 'Return to main',
+    'footer.label': 'Contact and location',
+    'footer.email': 'Email:',
+    'footer.github': 'GitHub:',
+    'footer.location': 'Melbourne, Australia',
+    'language.label': 'Language',
+    'sound.label': 'Sound',
+    'sound.on': 'Sound on',
+    'sound.off': 'Sound off',
+    'theme.label': 'Colour theme',
+    'theme.green': 'Green phosphor',
+    'theme.amber': 'Amber',
+    'theme.ibm': 'IBM blue',
+    'theme.paper': 'Paper (high contrast)',
+    'search.dialog': 'Search all pages',
+    'search.input': 'Search',
+    'search.placeholder': 'search skills, projects…',
+    'search.empty': 'no matches',
+    'search.hint': '↑↓ move · enter open · esc close',
+    'panel.content': '{title} page content',
+    'panel.scroll': 'Scroll {title} page content',
+    'panel.prompt': 'Terminal command (type help for a list)',
+    'command.help': 'list commands',
+    'command.ls': 'list pages and sub-pages',
+    'command.cat': 'print a page',
+    'command.open': 'go to a page (.. goes up a level)',
+    'command.clear': 'clear the screen',
+    'command.pdf': 'open the full resume (PDF)',
+    'command.exit': 'return, like the Return button',
+    'command.catMissing': 'cat: missing file name (try: ls)',
+    'command.catBinary': 'cat: {file}: binary file — use: pdf',
+    'command.catNotFound': 'cat: {file}: no such file',
+    'command.openMissing': 'open: missing page name (try: ls)',
+    'command.openNotFound': 'open: {page}: no such page',
+    'command.pdfOpening': 'opening {file}…',
+    'command.notFound': '{name}: command not found (try: help)'
+  },
+  tr: {
+    'menu.label': 'Sayfalar',
+    'return': 'Geri',
+    'return.toPage': 'Geri dön: {page}',
+    'return.toMain': 'Ana menüye dön',
+    'footer.label': 'İletişim ve konum',
+    'footer.email': 'E-posta:',
+    'footer.github': 'GitHub:',
+    'footer.location': 'Melbourne, Avustralya',
+    'language.label': 'Dil',
+    'sound.label': 'Ses',
+    'sound.on': 'Ses açık',
+    'sound.off': 'Ses kapalı',
+    'theme.label': 'Renk teması',
+    'theme.green': 'Yeşil fosfor',
+    'theme.amber': 'Kehribar',
+    'theme.ibm': 'IBM mavisi',
+    'theme.paper': 'Kâğıt (yüksek kontrast)',
+    'search.dialog': 'Tüm sayfalarda ara',
+    'search.input': 'Ara',
+    'search.placeholder': 'yetenek, proje ara…',
+    'search.empty': 'sonuç yok',
+    'search.hint': '↑↓ gez · enter aç · esc kapat',
+    'panel.content': '{title} sayfa içeriği',
+    'panel.scroll': '{title} sayfa içeriğini kaydır',
+    'panel.prompt': 'Terminal komutu (liste için help yazın)',
+    'command.help': 'komutları listele',
+    'command.ls': 'sayfaları ve alt sayfaları listele',
+    'command.cat': 'bir sayfayı yazdır',
+    'command.open': 'bir sayfaya git (.. bir üst seviyeye çıkar)',
+    'command.clear': 'ekranı temizle',
+    'command.pdf': 'özgeçmişin tamamını aç (PDF)',
+    'command.exit': 'geri dön, Geri düğmesi gibi',
+    'command.catMissing': 'cat: dosya adı eksik (deneyin: ls)',
+    'command.catBinary': 'cat: {file}: ikili dosya — şunu kullanın: pdf',
+    'command.catNotFound': 'cat: {file}: böyle bir dosya yok',
+    'command.openMissing': 'open: sayfa adı eksik (deneyin: ls)',
+    'command.openNotFound': 'open: {page}: böyle bir sayfa yok',
+    'command.pdfOpening': '{file} açılıyor…',
+    'command.notFound': '{name}: komut bulunamadı (deneyin: help)'
+  }
+};
+
+/** Locale with this id, or the default locale if the id is unknown. */
+export function findLocale(id) {
+  return LOCALES.find(locale => locale.id === id) || LOCALES[0];
+}
+
+function isLocaleId(id) {
+  return LOCALES.some(locale => locale.id === id);
+}
+
+/** The UI string for key in a locale, with "{name}" placeholders filled from params. */
+export function translate(localeId, key, params) {
+  const template = MESSAGES[localeId]?.[key] ?? MESSAGES[DEFAULT_LOCALE_ID][key] ?? key;
+  if (!params) return template;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/** Saves the locale id; ignored when storage is unavailable (private mode, blocked cookies). */
+export function saveLocaleId(id) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, id);
+  } catch {
+    /* not persisted */
+  }
+}
+
+/** First of the browser's preferred languages ("tr-TR" → 'tr') the site is available in, or null. */
+function browserLocaleId() {
+  const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+  for (const tag of preferred) {
+    const id = (tag || '').toLowerCase().split('-')[0];
+    if (isLocaleId(id)) return id;
+  }
+  return null;
+}
+
+/** Locale id to start with: the URL parameter if valid (and saved), else the saved one, else the browser's, else the default. */
+export function readInitialLocaleId() {
+  const fromUrl = new URLSearchParams(window.location.search).get(URL_PARAM)?.toLowerCase();
+  if (isLocaleId(fromUrl)) {
+    saveLocaleId(fromUrl);
+    return fromUrl;
+  }
+  let saved = null;
+  try {
+    saved = window.localStorage.getItem(STORAGE_KEY);
+  } catch {
+    /* fall through to the browser's languages */
+  }
+  if (isLocaleId(saved)) return saved;
+  return browserLocaleId() || DEFAULT_LOCALE_ID;
+}
+
+/** Sets the document's language and writing direction, so CSS, hyphenation and screen readers follow the locale. */
+export function applyLocale(locale) {
+  const root = document.documentElement;
+  root.lang = locale.id;
+  root.dir = locale.dir;
+}
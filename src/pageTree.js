@@ -0,0 +1,33 @@
+/**
+ * pageTree.js — The ids of the site's pages and how they nest
+ *
+ * pages.js builds the registry on this tree, adding each page's copy and content. It is kept
+ * apart, as plain data with no imports, so plugins/content.js can load it at build time to
+ * check sub-page links: pages.js itself imports the content files, so it can't be loaded while
+ * they are being transformed. A content file belongs to the page named like it
+ * (src/content/<locale>/<id>.md), and its dir links may only point at that page's children.
+ */
+
+export const PAGE_TREE = [
+  { id: 'about' },
+  {
+    id: 'resume',
+    children: [
+      {
+        id: 'projects',
+        children: [{ id: 'local-legends' }]
+      }
+    ]
+  },
+  { id: 'cover' }
+];
+
+/** Ids of the children of the page with this id (an empty array for a leaf), or null if there is no such page. */
+export function childIdsOf(id, tree = PAGE_TREE) {
+  for (const node of tree) {
+    if (node.id === id) return (node.children || []).map(child => child.id);
+    const found = node.children ? childIdsOf(id, node.children) : null;
+    if (found) return found;
+  }
+  return null;
+}
@@ -0,0 +1,139 @@
+/**
+ * pages.js — Page registry for the menu, header, URLs and content panel
+ *
+ * Every section of the site is one entry here. App renders a click-stack label per
+ * top-level entry, the header and PageContent read the selected entry, and the router
+ * validates URLs against it. Adding a section means adding its id to PAGE_TREE
+ * (pageTree.js, where the nesting lives too) and its copy to COPY — nothing else.
+ *
+ * Entry fields:
+ * - id: URL segment and internal key (e.g. 'resume' → "#/resume"); the same in every language
+ * - label: text shown in the click-stack and in the header once the page is open
+ * - hoverText: text the label switches to on hover
+ * - title: panel title-bar text (shown as "<title>.txt")
+ * - content: array of { type, text, href?, page? } lines rendered by TerminalLine, imported
+ *   from a Markdown or JSON file in src/content/<locale> (converted and validated by plugins/content.js)
+ * - children: optional sub-pages with the same shape (from PAGE_TREE); each level zooms the terminal deeper
+ *
+ * label, hoverText, title and content are given per locale ({ en, tr }, see i18n.js).
+ * pagesFor(locale) returns the registry with those resolved to plain values (falling back to
+ * English), which is the shape everything else reads; PAGES is the English one.
+ */
+
+import { DEFAULT_LOCALE_ID } from './i18n';
+import { PAGE_TREE } from './pageTree';
+import EN_ABOUT_LINES from './content/en/about.md';
+import EN_RESUME_LINES from './content/en/resume.md';
+import EN_PROJECTS_LINES from './content/en/projects.md';
+import EN_LOCAL_LEGENDS_LINES from './content/en/local-legends.md';
+import EN_COVER_LINES from './content/en/cover.md';
+import TR_ABOUT_LINES from './content/tr/about.md';
+import TR_RESUME_LINES from './content/tr/resume.md';
+import TR_PROJECTS_LINES from './content/tr/projects.md';
+import TR_LOCAL_LEGENDS_LINES from './content/tr/local-legends.md';
+import TR_COVER_LINES from './content/tr/cover.md';
+
+const CLICK = { en: 'CLICK', tr: 'TIKLA' };
+
+/* Copy for each page by id; which pages exist and how they nest is PAGE_TREE (pageTree.js) */
+const COPY = {
+  about: {
+    label: { en: 'ABOUT', tr: 'HAKKIMDA' },
+    hoverText: CLICK,
+    title: { en: 'ABOUT', tr: 'HAKKIMDA' },
+    content: { en: EN_ABOUT_LINES, tr: TR_ABOUT_LINES }
+  },
+  resume: {
+    label: { en: 'RESUME', tr: 'ÖZGEÇMİŞ' },
+    hoverText: CLICK,
+    title: { en: 'RESUME', tr: 'ÖZGEÇMİŞ' },
+    content: { en: EN_RESUME_LINES, tr: TR_RESUME_LINES }
+  },
+  projects: {
+    label: { en: 'PROJECTS', tr: 'PROJELER' },
+    hoverText: CLICK,
+    title: { en: 'PROJECTS', tr: 'PROJELER' },
+    content: { en: EN_PROJECTS_LINES, tr: TR_PROJECTS_LINES }
+  },
+  'local-legends': {
+    label: { en: 'LOCAL LEGENDS', tr: 'LOCAL LEGENDS' },
+    hoverText: CLICK,
+    title: { en: 'LOCAL-LEGENDS', tr: 'LOCAL-LEGENDS' },
+    content: { en: EN_LOCAL_LEGENDS_LINES, tr: TR_LOCAL_LEGENDS_LINES }
+  },
+  cover: {
+    label: { en: 'COVER', tr: 'ÖN YAZI' },
+    hoverText: CLICK,
+    title: { en: 'COVER', tr: 'ÖN-YAZI' },
+    content: { en: EN_COVER_LINES, tr: TR_COVER_LINES }
+  }
+};
+
+/** The entries for a level of the page tree, with each page's copy. */
+function buildEntries(nodes) {
+  return nodes.map(({ id, children }) => ({ id, ...COPY[id], ...(children ? { children: buildEntries(children) } : {}) }));
+}
+
+const REGISTRY = buildEntries(PAGE_TREE);
+
+const LOCALIZED_FIELDS = ['label', 'hoverText', 'title', 'content'];
+
+/** Copies of the entries (and their children) with the localized fields resolved for localeId. */
+function localize(pages, localeId) {
+  return pages.map(page => {
+    const entry = { ...page };
+    LOCALIZED_FIELDS.forEach(field => {
+      entry[field] = page[field][localeId] ?? page[field][DEFAULT_LOCALE_ID];
+    });
+    if (page.children) entry.children = localize(page.children, localeId);
+    return entry;
+  });
+}
+
+/* One registry per locale, built on first use so the entries keep their identity between renders */
+const localized = new Map();
+
+/** The registry in a locale (an id from i18n.js); unknown ids get the English text. */
+export function pagesFor(localeId) {
+  if (!localized.has(localeId)) localized.set(localeId, localize(REGISTRY, localeId));
+  return localized.get(localeId);
+}
+
+export const PAGES = pagesFor(DEFAULT_LOCALE_ID);
+
+/**
+ * Resolves a list of ids (e.g. ['resume', 'projects']) to the matching entries, root first.
+ * Stops at the first id that isn't a child of the previous entry, so the result is always a
+ * valid (possibly shorter) trail; an empty array means the main menu. Ids are the same in
+ * every locale, so pages only decides which language the entries are in.
+ */
+export function resolvePath(ids, pages = PAGES) {
+  const trail = [];
+  let level = pages;
+  for (const id of ids) {
+    const page = level?.find(p => p.id === id);
+    if (!page) break;
+    trail.push(page);
+    level = page.children;
+  }
+  return trail;
+}
+
+/**
+ * Finds a page anywhere in the registry by id and returns the ids from its top-level page
+ * down to it (e.g. 'projects' → ['resume', 'projects']), or null if there is no such page.
+ */
+export function findPagePath(id, pages = PAGES, parents = []) {
+  for (const page of pages) {
+    const path = [...parents, page.id];
+    if (page.id === id) return path;
+    const found = page.children ? findPagePath(id, page.children, path) : null;
+    if (found) return found;
+  }
+  return null;
+}
+
+/** Every page in the registry, parents before their children. */
+export function flattenPages(pages = PAGES) {
+  return pages.flatMap(page => [page, ...(page.children ? flattenPages(page.children) : [])]);
+}
@@ -0,0 +1,312 @@
+/**
+ * postPasses.js — Post-processing passes for the FaultyTerminal CRT look
+ *
+ * FaultyTerminal draws the bare digit grid into a texture, then runs an ordered list of
+ * passes over it; each pass is a full-screen fragment shader that reads the previous
+ * result (tInput) and writes the next one, and the last one draws to the canvas.
+ * BUILTIN_PASSES recreate the original look: scanlines, chromatic aberration,
+ * tint/brightness and dither. Barrel distortion stays a UV warp in the grid shader
+ * (BARREL_GLSL), where it costs nothing extra per pixel. New effects (vignette, bloom,
+ * VHS bands, ...) are extra entries in the list rather than edits to the grid shader.
+ *
+ * A pass is a plain object:
+ * - name: for debugging
+ * - fragment: GLSL body. PASS_HEADER is prepended, so vUv, tInput, tPrevious, uTexelSize
+ *   (1 / input size in px) and uOverscan are already declared. Any terminal uniform
+ *   (iTime, iResolution, uScale, uTint, uCurvature, ...) can be declared and used too.
+ * - uniforms: the pass's own uniforms ({ uStrength: { value: 0.5 } }); change .value at
+ *   any time to animate them
+ * - enabled(uniforms): optional; the pass is skipped for a frame when it returns false
+ *   (e.g. chromatic aberration at 0, or switched off by the quality tier)
+ * - feedback: true gives the pass its own output from the previous frame in tPrevious
+ *   (phosphor persistence, ghosting, trails)
+ * - overscan(uniforms): only for a pass that warps the picture. The grid and every pass
+ *   before it are drawn with a margin of this fraction of the screen on each side, so the
+ *   warp can pull in content from past the edges; this pass reads that overscanned input
+ *   and writes screen-space output. uOverscan is the margin in use. A margin m costs
+ *   (1 + 2m)² times the grid's pixels, so prefer warping UVs in the grid where possible.
+ *
+ * Targets are half-float where the browser can render to them, so the grid's >1 glow
+ * survives until tint scales it down; elsewhere they are 8-bit and very bright cells clip
+ * slightly earlier.
+ */
+
+import { Program, Mesh, RenderTarget } from 'ogl';
+
+/** Overscan margins are rounded up to this step, so a tweening curvature doesn't resize the targets every frame. */
+const OVERSCAN_STEP = 0.05;
+
+const PASS_VERTEX = `
+attribute vec2 position;
+attribute vec2 uv;
+varying vec2 vUv;
+void main() {
+  vUv = uv;
+  gl_Position = vec4(position, 0.0, 1.0);
+}
+`;
+
+export const PASS_HEADER = `
+precision mediump float;
+varying vec2 vUv;
+uniform sampler2D tInput;
+uniform sampler2D tPrevious;
+uniform vec2 uTexelSize;
+uniform float uOverscan;
+`;
+
+/**
+ * GLSL shared by the grid shader and the scanlines pass: where a grid-space point is drawn while
+ * zooming (uGatherProgress > 0), with every cell pulled toward uTargetPos. Declares the uniforms it uses.
+ */
+export const GATHER_GLSL = `
+uniform float uScale;
+uniform vec2  uGridMul;
+uniform float uGatherProgress;
+uniform vec2  uTargetPos;
+
+/* How far (0–1) the grid is pulled toward the target. Level 1 pulls 58% of the way, linearly as
+   before; each further level pulls 58% of what is left, so sub-pages zoom deeper without ever
+   reaching 1 (which would divide by zero below). */
+float gatherAmount(float g){
+  if (g <= 1.0) return clamp(g, 0.0, 0.9999) * 0.58;
+  return 1.0 - 0.42 * pow(0.42, g - 1.0);
+}
+
+/* Where a point (in grid space) samples the grid while zoomed: each cell moves toward the target
+   as a whole, so the grid, pointer glows and scanline rows all stay in step. */
+vec2 gatheredPosition(vec2 world){
+  if (uGatherProgress <= 0.001) return world;
+  vec2 gridVec = uGridMul * 15.0;
+  vec2 targetWorld = uTargetPos * uScale;
+  float prog = min(gatherAmount(uGatherProgress), 0.999);
+  vec2 s = (world - targetWorld * prog) / (1.0 - prog);
+  vec2 sCell = floor(s * gridVec) / gridVec;
+  vec2 sNew = sCell + (targetWorld - sCell) * prog;
+  vec2 cellCenter = sCell + 0.5 / gridVec;
+  return cellCenter + (world - sNew);
+}
+`;
+
+/**
+ * GLSL shared by the grid shader and the scanlines pass: the CRT barrel distortion by uCurvature,
+ * applied to a screen uv (0–1) before the grid is sampled there. Declares the uniform it uses.
+ */
+export const BARREL_GLSL = `
+uniform float uCurvature;
+
+vec2 barrel(vec2 uv){
+  if (uCurvature == 0.0) return uv;
+  vec2 c = uv * 2.0 - 1.0;
+  c *= 1.0 + uCurvature * dot(c, c);
+  return c * 0.5 + 0.5;
+}
+`;
+
+/* -----------------------------------------------------------------------------
+   Built-in passes (together, the original look)
+   ----------------------------------------------------------------------------- */
+
+/**
+ * Rolling scanline bands over the glow. The grid texture holds the glow alone in alpha; the
+ * bands follow the grid's rows (zoom and barrel included), so this pass should come straight after the grid.
+ */
+export const scanlinesPass = {
+  name: 'scanlines',
+  fragment: `
+uniform float iTime;
+uniform float uScanlineIntensity;
+${GATHER_GLSL}
+${BARREL_GLSL}
+void main() {
+  vec4 scene = texture2D(tInput, vUv);
+  vec2 p = gatheredPosition(barrel(vUv * (1.0 + 2.0 * uOverscan) - uOverscan) * uScale);
+  float grainTime = uGatherProgress > 0.5 ? iTime * 0.005 : iTime * 0.333333;
+  float bar = (step(mod(p.y + grainTime * 20.0, 1.0), 0.2) * 0.4 + 1.0) * uScanlineIntensity;
+  gl_FragColor = vec4(scene.rgb + scene.a * (bar - 1.0), 1.0);
+}
+`
+};
+
+/** Red and blue sampled uChromaticAberration px (in grid space) either side of green. */
+export const chromaticAberrationPass = {
+  name: 'chromaticAberration',
+  fragment: `
+uniform vec3  iResolution;
+uniform float uScale;
+uniform float uChromaticAberration;
+void main() {
+  vec2 ca = vec2(uChromaticAberration) / (iResolution.xy * uScale * (1.0 + 2.0 * uOverscan));
+  vec4 col = texture2D(tInput, vUv);
+  col.r = texture2D(tInput, vUv + ca).r;
+  col.b = texture2D(tInput, vUv - ca).b;
+  gl_FragColor = col;
+}
+`,
+  enabled: uniforms => uniforms.uChromaticAberration.value !== 0
+};
+
+/** Phosphor colour and overall brightness. */
+export const tintPass = {
+  name: 'tint',
+  fragment: `
+uniform vec3  uTint;
+uniform float uBrightness;
+void main() {
+  gl_FragColor = vec4(texture2D(tInput, vUv).rgb * uTint * uBrightness, 1.0);
+}
+`
+};
+
+/** ±uDither / 255 of per-pixel noise against banding. */
+export const ditherPass = {
+  name: 'dither',
+  fragment: `
+uniform float uDither;
+float hash21(vec2 p){
+  p = fract(p * 234.56);
+  p += dot(p, p + 34.56);
+  return fract(p.x * p.y);
+}
+void main() {
+  vec3 col = texture2D(tInput, vUv).rgb;
+  col += (hash21(gl_FragCoord.xy) - 0.5) * (uDither * 0.003922);
+  gl_FragColor = vec4(col, 1.0);
+}
+`,
+  enabled: uniforms => uniforms.uDither.value > 0
+};
+
+export const BUILTIN_PASSES = [scanlinesPass, chromaticAberrationPass, tintPass, ditherPass];
+
+/* -----------------------------------------------------------------------------
+   Pipeline
+   ----------------------------------------------------------------------------- */
+
+/** Copies tInput to the canvas (after a feedback pass, whose output has to stay in its own target). */
+const copyPass = {
+  name: 'copy',
+  fragment: `
+void main() {
+  gl_FragColor = texture2D(tInput, vUv);
+}
+`
+};
+
+/** Render target options: half-float colour where it can be rendered to and filtered, else 8-bit. */
+function targetFormat(gl) {
+  const renderer = gl.renderer;
+  if (renderer.isWebgl2) {
+    if (renderer.getExtension('EXT_color_buffer_float') || renderer.getExtension('EXT_color_buffer_half_float')) {
+      return { type: gl.HALF_FLOAT, internalFormat: gl.RGBA16F };
+    }
+    return { type: gl.UNSIGNED_BYTE };
+  }
+  const halfFloat = renderer.getExtension('OES_texture_half_float');
+  if (halfFloat && renderer.getExtension('EXT_color_buffer_half_float') && renderer.getExtension('OES_texture_half_float_linear')) {
+    return { type: halfFloat.HALF_FLOAT_OES };
+  }
+  return { type: gl.UNSIGNED_BYTE };
+}
+
+/**
+ * Builds the programs and render targets for `passes`. `uniforms` are the grid program's
+ * uniforms (the same objects are shared, so writing a value reaches every pass); the grid's
+ * uOverscan is set here. render(renderer, gridMesh) draws one frame; dispose() frees the GL objects.
+ */
+export function createPassPipeline(gl, { passes, uniforms, geometry }) {
+  const format = targetFormat(gl);
+  const createTarget = () => new RenderTarget(gl, { width: 1, height: 1, depth: false, ...format });
+
+  const createStage = pass => {
+    const own = {
+      tInput: { value: null },
+      tPrevious: { value: null },
+      uTexelSize: { value: [0, 0] },
+      uOverscan: { value: 0 }
+    };
+    const program = new Program(gl, {
+      vertex: PASS_VERTEX,
+      fragment: PASS_HEADER + pass.fragment,
+      uniforms: { ...uniforms, ...own, ...pass.uniforms },
+      depthTest: false,
+      depthWrite: false
+    });
+    return { pass, program, mesh: new Mesh(gl, { geometry, program }), history: pass.feedback ? [createTarget(), createTarget()] : null };
+  };
+
+  const stages = passes.map(createStage);
+  const copy = createStage(copyPass);
+  /* Ping-pong targets for the overscanned scene (grid + passes before the warp) and the screen (passes after it) */
+  const sceneTargets = [createTarget(), createTarget()];
+  let screenTargets = null;
+
+  const draw = (renderer, stage, input, target) => {
+    const u = stage.program.uniforms;
+    u.tInput.value = input.texture;
+    u.uTexelSize.value[0] = 1 / input.width;
+    u.uTexelSize.value[1] = 1 / input.height;
+    renderer.render({ scene: stage.mesh, target });
+  };
+
+  return {
+    render(renderer, gridMesh) {
+      const active = stages.filter(stage => !stage.pass.enabled || stage.pass.enabled(stage.program.uniforms));
+      if (!active.length) {
+        uniforms.uOverscan.value = 0;
+        renderer.render({ scene: gridMesh });
+        return;
+      }
+
+      const warpIndex = active.findIndex(stage => stage.pass.overscan);
+      const margin = warpIndex < 0 ? 0 : Math.ceil(Math.max(active[warpIndex].pass.overscan(active[warpIndex].program.uniforms), 0) / OVERSCAN_STEP) * OVERSCAN_STEP;
+      const screenW = gl.canvas.width;
+      const screenH = gl.canvas.height;
+      const sceneW = Math.round(screenW * (1 + 2 * margin));
+      const sceneH = Math.round(screenH * (1 + 2 * margin));
+      sceneTargets.forEach(target => target.setSize(sceneW, sceneH));
+      if (margin > 0) {
+        screenTargets = screenTargets || [createTarget(), createTarget()];
+        screenTargets.forEach(target => target.setSize(screenW, screenH));
+      }
+
+      uniforms.uOverscan.value = margin;
+      let input = sceneTargets[0];
+      renderer.render({ scene: gridMesh, target: input });
+
+      active.forEach((stage, i) => {
+        const inScene = warpIndex < 0 || i <= warpIndex;
+        const outScene = warpIndex < 0 || i < warpIndex;
+        const last = i === active.length - 1;
+        stage.program.uniforms.uOverscan.value = inScene ? margin : 0;
+
+        let output = null;
+        if (stage.history) {
+          const [current, previous] = stage.history;
+          stage.history.forEach(target => target.setSize(outScene ? sceneW : screenW, outScene ? sceneH : screenH));
+          stage.program.uniforms.tPrevious.value = previous.texture;
+          output = current;
+          stage.history.reverse();
+        } else if (!last) {
+          const pair = outScene || margin === 0 ? sceneTargets : screenTargets;
+          output = pair[0] === input ? pair[1] : pair[0];
+        }
+        draw(renderer, stage, input, output);
+        if (last && output) draw(renderer, copy, output, null);
+        input = output;
+      });
+    },
+    dispose() {
+      [...stages, copy].forEach(stage => {
+        stage.program.remove();
+        stage.history?.forEach(target => deleteTarget(gl, target));
+      });
+      [...sceneTargets, ...(screenTargets || [])].forEach(target => deleteTarget(gl, target));
+    }
+  };
+}
+
+function deleteTarget(gl, target) {
+  gl.deleteFramebuffer(target.buffer);
+  gl.deleteTexture(target.texture.texture);
+}
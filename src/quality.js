@@ -0,0 +1,131 @@
+/**
+ * quality.js — Render quality tiers and the governor that steps between them
+ *
+ * FaultyTerminal renders the shader at a fraction of the window size (resolutionScale),
+ * caps the device pixel ratio (dprCap), and can drop the costlier effects: chromatic
+ * aberration (an extra post-processing pass) and the 9-tap glow in the grid shader.
+ * Tier 0 is the full look; each tier after it is cheaper.
+ *
+ * The governor watches frame times from the render loop and moves one tier at a time:
+ * - down when the average frame stays well over the display's refresh interval for a few windows
+ * - up only after a longer run of frames close to it and a cooldown since the last change
+ * The refresh interval is measured first (the median of the first frames' gaps), since a
+ * display or browser capped at 30 Hz gives ~33 ms gaps however light the frame is. It is
+ * lowered whenever a window averages faster, in case the first frames were slow themselves.
+ * If a tier that was just upgraded to turns out too slow, the upgrade cooldown doubles,
+ * so a device sitting on the edge of two tiers settles instead of oscillating.
+ */
+
+export const QUALITY_TIERS = [
+  { name: 'high', resolutionScale: 0.88, dprCap: 1.5, chromaticAberration: true, glow: true },
+  { name: 'medium', resolutionScale: 0.75, dprCap: 1.25, chromaticAberration: true, glow: true },
+  { name: 'low', resolutionScale: 0.6, dprCap: 1, chromaticAberration: false, glow: true },
+  { name: 'minimal', resolutionScale: 0.45, dprCap: 1, chromaticAberration: false, glow: false }
+];
+
+/** Frames averaged per decision window. */
+const WINDOW_FRAMES = 60;
+/** Frames whose median gap is taken as the refresh interval before any window is judged. */
+const CALIBRATION_FRAMES = 30;
+/**
+ * Average frame time, as a multiple of the refresh interval, above which a window counts as slow
+ * (~45 fps at 60 Hz) / below which it counts as fast (~57 fps at 60 Hz).
+ */
+const DOWNGRADE_RATIO = 1.32;
+const UPGRADE_RATIO = 1.05;
+/** Consecutive slow / fast windows needed before stepping down / up. */
+const SLOW_WINDOWS = 2;
+const FAST_WINDOWS = 5;
+/** Minimum time (ms) after any change before trying a better tier; doubles each time an upgrade is undone. */
+const UPGRADE_COOLDOWN_MS = 4000;
+const MAX_UPGRADE_COOLDOWN_MS = 60000;
+/** Frame gaps longer than this (tab switch, breakpoint, GC pause) are not counted. */
+const MAX_FRAME_MS = 250;
+
+/** Clamps a [best, worst] tier range to valid indexes (best <= worst). */
+export function clampQualityRange([best = 0, worst = QUALITY_TIERS.length - 1] = []) {
+  const last = QUALITY_TIERS.length - 1;
+  const b = Math.min(Math.max(Math.round(best), 0), last);
+  const w = Math.min(Math.max(Math.round(worst), b), last);
+  return [b, w];
+}
+
+/**
+ * Creates a governor starting at the best tier of range. Call frame(deltaMs, now) once per
+ * rendered frame; it returns the new tier index when the tier changes, otherwise -1.
+ */
+export function createQualityGovernor(range) {
+  let [best, worst] = clampQualityRange(range);
+  let tier = best;
+  const calibration = [];
+  let refreshMs = 0;
+  let frames = 0;
+  let total = 0;
+  let slowWindows = 0;
+  let fastWindows = 0;
+  let lastChange = 0;
+  let lastChangeWasUpgrade = false;
+  let upgradeCooldown = UPGRADE_COOLDOWN_MS;
+
+  const changeTo = (next, now) => {
+    lastChangeWasUpgrade = next < tier;
+    tier = next;
+    lastChange = now;
+    slowWindows = 0;
+    fastWindows = 0;
+    return tier;
+  };
+
+  return {
+    get tier() {
+      return tier;
+    },
+    /** Drops the current window (e.g. after the tab was hidden) so stale frames don't count. */
+    reset() {
+      frames = 0;
+      total = 0;
+    },
+    /** Moves the allowed range; the current tier is clamped into it. Returns the tier index. */
+    setRange(nextRange) {
+      [best, worst] = clampQualityRange(nextRange);
+      tier = Math.min(Math.max(tier, best), worst);
+      return tier;
+    },
+    frame(deltaMs, now) {
+      if (!(deltaMs > 0) || deltaMs > MAX_FRAME_MS) return -1;
+      if (!refreshMs) {
+        calibration.push(deltaMs);
+        if (calibration.length < CALIBRATION_FRAMES) return -1;
+        calibration.sort((a, b) => a - b);
+        refreshMs = calibration[calibration.length >> 1];
+        return -1;
+      }
+      frames += 1;
+      total += deltaMs;
+      if (frames < WINDOW_FRAMES) return -1;
+      const average = total / frames;
+      frames = 0;
+      total = 0;
+      refreshMs = Math.min(refreshMs, average);
+
+      if (average > refreshMs * DOWNGRADE_RATIO) {
+        fastWindows = 0;
+        slowWindows += 1;
+        if (slowWindows >= SLOW_WINDOWS && tier < worst) {
+          if (lastChangeWasUpgrade) upgradeCooldown = Math.min(upgradeCooldown * 2, MAX_UPGRADE_COOLDOWN_MS);
+          return changeTo(tier + 1, now);
+        }
+      } else if (average < refreshMs * UPGRADE_RATIO) {
+        slowWindows = 0;
+        fastWindows += 1;
+        if (fastWindows >= FAST_WINDOWS && tier > best && now - lastChange >= upgradeCooldown) {
+          return changeTo(tier - 1, now);
+        }
+      } else {
+        slowWindows = 0;
+        fastWindows = 0;
+      }
+      return -1;
+    }
+  };
+}
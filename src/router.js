@@ -0,0 +1,51 @@
+/**
+ * router.js — Hash-based URLs for the pages in the registry (pages.js)
+ *
+ * Each page gets its own address (e.g. "#/resume", or "#/resume/projects" for a
+ * sub-page) so a link can open it directly and the browser's Back/Forward buttons
+ * move between the menu and the pages. We use the hash rather than History API
+ * paths so the site keeps working on static hosting without any server rewrite rules.
+ *
+ * App owns the navigation state; this module only converts between the URL and
+ * a path of page ids, and pushes new history entries.
+ */
+
+import { resolvePath } from './pages';
+
+/** Prefix for every page hash: "#/" + ids joined by "/". */
+const HASH_PREFIX = '#/';
+
+/**
+ * Reads a path of page ids from a location hash (e.g. "#/resume/projects" → ['resume', 'projects']).
+ * Unknown segments are dropped from the first one that doesn't match the registry; the main
+ * menu ("", "#", "#/") is an empty array, and so is a hash that isn't valid percent-encoding
+ * (e.g. "#/%E0"), which decodeURIComponent would throw on.
+ */
+export function pathFromHash(hash) {
+  if (!hash || !hash.startsWith(HASH_PREFIX)) return [];
+  let ids;
+  try {
+    ids = hash
+      .slice(HASH_PREFIX.length)
+      .split('/')
+      .filter(Boolean)
+      .map(segment => decodeURIComponent(segment).toLowerCase());
+  } catch {
+    return [];
+  }
+  return resolvePath(ids).map(page => page.id);
+}
+
+/** Builds the URL for a path of page ids, or the bare URL (no hash) for the main menu. */
+export function urlForPath(path) {
+  const base = window.location.pathname + window.location.search;
+  return path.length ? `${base}${HASH_PREFIX}${path.map(encodeURIComponent).join('/')}` : base;
+}
+
+/** Pushes a history entry for the path (empty for the main menu) unless the URL already matches. */
+export function pushPath(path) {
+  const url = urlForPath(path);
+  const current = window.location.pathname + window.location.search + window.location.hash;
+  if (url === current) return;
+  window.history.pushState({ path }, '', url);
+}
@@ -0,0 +1,118 @@
+/**
+ * search.js — Full-text search over every page's lines
+ *
+ * Used by the search overlay (/ or Ctrl+K). Each non-empty line of each page in
+ * the registry is a candidate; a line matches when it contains every word of the
+ * query (case-insensitive). Matches are ranked so the most useful lines come first:
+ * - the whole query as a phrase beats scattered words ("React Native")
+ * - whole-word and word-start matches beat matches inside a word ("AWS" vs "laws")
+ * - headings (prompt lines) get a small boost, as they usually name a section
+ *
+ * Searches run over the pages in the site's current language and lower-case by its
+ * rules (Turkish "İ" is "i", "I" is "ı"); any letter counts as part of a word, not only a–z.
+ */
+
+import { PAGES } from './pages';
+
+const MAX_RESULTS = 20;
+const SNIPPET_RADIUS = 48;
+
+/** Lower-cased words of a query (by the locale's rules, if given); empty for a blank query. */
+export function queryTerms(query, locale) {
+  return query.toLocaleLowerCase(locale).trim().split(/\s+/).filter(Boolean);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Splits text into [{ text, match }] segments so every occurrence of any term can be wrapped
+ * in a highlight. Longer terms are tried first so "react native" isn't cut short by "react".
+ * Terms are lower case by the locale's rules (queryTerms), so the text is matched lower-cased
+ * the same way (Turkish "İ" is "i") and cut at the same places. Where lower-casing changes the
+ * text's length, the regex's own case-insensitive matching is used instead.
+ */
+export function splitMatches(text, terms, locale) {
+  if (!terms.length || !text) return [{ text, match: false }];
+  const pattern = [...terms].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+  const lower = text.toLocaleLowerCase(locale);
+  if (lower.length !== text.length) {
+    return text
+      .split(new RegExp(`(${pattern})`, 'gi'))
+      .filter(Boolean)
+      .map(part => ({ text: part, match: terms.includes(part.toLocaleLowerCase(locale)) }));
+  }
+  const parts = [];
+  let last = 0;
+  for (const found of lower.matchAll(new RegExp(pattern, 'g'))) {
+    if (found.index > last) parts.push({ text: text.slice(last, found.index), match: false });
+    last = found.index + found[0].length;
+    parts.push({ text: text.slice(found.index, last), match: true });
+  }
+  if (last < text.length) parts.push({ text: text.slice(last), match: false });
+  return parts;
+}
+
+/** Score for one line, or 0 if it doesn't contain every term. */
+function scoreLine(line, terms, phrase, locale) {
+  const lower = line.text.toLocaleLowerCase(locale);
+  let score = 0;
+  for (const term of terms) {
+    const idx = lower.indexOf(term);
+    if (idx < 0) return 0;
+    const wordStart = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}`, 'u').test(lower);
+    const wholeWord = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}($|[^\\p{L}\\p{N}])`, 'u').test(lower);
+    score += 1 + (wordStart ? 2 : 0) + (wholeWord ? 2 : 0);
+  }
+  if (terms.length > 1 && lower.includes(phrase)) score += 5;
+  if (line.type === 'prompt') score += 2;
+  return score;
+}
+
+/** Short piece of the line centred on the first match, with ellipses where it was cut. */
+function snippetFor(text, terms, locale) {
+  const lower = text.toLocaleLowerCase(locale);
+  const first = Math.min(...terms.map(term => lower.indexOf(term)).filter(i => i >= 0));
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+/** Every page with its id path and label trail, parents before children, in registry order. */
+function pagesWithTrails(pages, parents = []) {
+  return pages.flatMap(page => {
+    const trail = [...parents, page];
+    return [{ page, trail }, ...(page.children ? pagesWithTrails(page.children, trail) : [])];
+  });
+}
+
+/**
+ * Ranked matches for a query: [{ path, pageLabel, lineIndex, line, snippet, score }].
+ * path is the page's id path (for navigation); lineIndex indexes page.content. pages is the
+ * registry in the language to search (pagesFor(locale), English by default).
+ */
+export function searchPages(query, { pages = PAGES, locale } = {}) {
+  const terms = queryTerms(query, locale);
+  if (!terms.length) return [];
+  const phrase = terms.join(' ');
+  const results = [];
+  pagesWithTrails(pages).forEach(({ page, trail }, pageOrder) => {
+    (page.content || []).forEach((line, lineIndex) => {
+      if (!line.text) return;
+      const score = scoreLine(line, terms, phrase, locale);
+      if (!score) return;
+      results.push({
+        path: trail.map(p => p.id),
+        pageLabel: trail.map(p => p.label).join(' › '),
+        lineIndex,
+        line,
+        snippet: snippetFor(line.text, terms, locale),
+        score,
+        pageOrder
+      });
+    });
+  });
+  results.sort((a, b) => b.score - a.score || a.pageOrder - b.pageOrder || a.lineIndex - b.lineIndex);
+  return results.slice(0, MAX_RESULTS);
+}
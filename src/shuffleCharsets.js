@@ -0,0 +1,56 @@
+/**
+ * shuffleCharsets.js — Grapheme-safe scramble characters for Shuffle, with per-language presets
+ *
+ * What reads as one character can be several UTF-16 code units: an emoji with a skin tone or
+ * a ZWJ sequence, a flag, a letter with combining marks. Picking from a charset with charAt()
+ * cuts those in half, so charsets are split into grapheme clusters (Intl.Segmenter, or code
+ * points where it's missing) and scramble characters are picked from those whole.
+ *
+ * The presets are alphabets per language. charsetForLocale() picks the one for a locale's
+ * language and cases it by that locale's rules, so Turkish lower case keeps ı and i apart
+ * (I → ı, İ → i) instead of folding both to i. Shuffle's scrambleCharset takes a preset by
+ * name, or 'auto' for the preset of the element's language (resolveScrambleCharset).
+ */
+
+const segmenters = new Map();
+
+/** Splits text into grapheme clusters (user-perceived characters); locale is a BCP 47 tag or undefined. */
+export function graphemes(text, locale) {
+  if (typeof Intl === 'undefined' || !Intl.Segmenter) return Array.from(text);
+  const key = locale || '';
+  if (!segmenters.has(key)) segmenters.set(key, new Intl.Segmenter(locale || undefined, { granularity: 'grapheme' }));
+  return Array.from(segmenters.get(key).segment(text), s => s.segment);
+}
+
+export const SCRAMBLE_CHARSETS = {
+  latin: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  turkish: 'ABCÇDEFGĞHIİJKLMNOÖPRSŞTUÜVYZ',
+  hebrew: 'אבגדהוזחטיכלמנסעפצקרשת',
+  digits: '0123456789'
+};
+
+/* Language subtag → preset; anything else gets latin */
+const LANGUAGE_CHARSETS = {
+  en: 'latin',
+  tr: 'turkish',
+  he: 'hebrew'
+};
+
+/**
+ * The scramble charset for a locale ('tr', 'tr-TR', 'en-AU', ...): its language's alphabet in upper
+ * case, or in lower case (by the locale's casing rules) with { lowerCase: true }.
+ */
+export function charsetForLocale(locale, { lowerCase = false } = {}) {
+  const language = (locale || '').toLowerCase().split('-')[0];
+  const charset = SCRAMBLE_CHARSETS[LANGUAGE_CHARSETS[language] || 'latin'];
+  return lowerCase ? charset.toLocaleLowerCase(locale || undefined) : charset;
+}
+
+/**
+ * The characters for Shuffle's scrambleCharset: a preset name ('latin', 'turkish', ...), 'auto' for
+ * the preset of locale (see charsetForLocale), or anything else as the characters themselves.
+ */
+export function resolveScrambleCharset(charset, locale) {
+  if (charset === 'auto') return charsetForLocale(locale);
+  return SCRAMBLE_CHARSETS[charset] ?? charset;
+}
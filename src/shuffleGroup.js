@@ -0,0 +1,123 @@
+/**
+ * shuffleGroup.js — One loop clock for several looping Shuffles (see ShuffleGroup.jsx)
+ *
+ * Left alone, every looping Shuffle repeats its own timeline; they start together and
+ * drift apart as their lengths differ. In a group, each Shuffle contributes one pass (a
+ * single shuffle of its strips) and the group plays them all in one master timeline that
+ * repeats with loopDelay, each pass offset by its member's place in the order:
+ * - cascade: one after another in document order, `stagger` seconds apart
+ * - wave: from the middle member outwards, like a ripple
+ * - together: all at once
+ * - or a function (index, count) → offset in units of `stagger`
+ *
+ * Members are put in document order whenever the master is rebuilt: when one joins or
+ * leaves, or its strips change (a morph to a new text). A rebuild keeps the master's
+ * place in the cycle, so the others don't jump back to the start.
+ *
+ * Members report whether they can be seen (useShuffleActivity.js); while none of them can,
+ * the master is paused, and it resumes from the same point when one comes back.
+ */
+
+import { gsap } from 'gsap';
+
+const ORDERS = {
+  cascade: i => i,
+  wave: (i, count) => Math.abs(i - (count - 1) / 2),
+  together: () => 0
+};
+
+/** Sorts members ({ el }) by where their elements are in the document. */
+function byDocumentOrder(a, b) {
+  return a.el.compareDocumentPosition(b.el) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+}
+
+/**
+ * Creates a group with options { order, stagger, loopDelay }; it's paused until play() unless
+ * autoPlay. Returns { join, refresh, setOptions, setActive, play, pause, timeline, dispose }:
+ * - join({ el, pass, active }) adds a member (pass() returns a fresh one-pass timeline of its strips,
+ *   or null) and returns the function that removes it
+ * - setActive(member, active) updates whether the member can be seen; the master only runs while
+ *   the group is playing and at least one member is active
+ * - refresh() rebuilds the master on the next microtask (batching members that change together);
+ *   setOptions(options) replaces the options and does the same
+ * - timeline is the master (null while the group is empty), for syncing other animations to it
+ */
+export function createShuffleGroup({ autoPlay = true, ...initialOptions } = {}) {
+  let options = initialOptions;
+  const members = new Set();
+  let timeline = null;
+  let playing = autoPlay;
+  let scheduled = false;
+
+  const running = () => playing && [...members].some(member => member.active !== false);
+  /* pause() / resume() keep the playhead, so a paused cycle carries on where it stopped */
+  const sync = () => {
+    if (!timeline) return;
+    if (running()) timeline.resume();
+    else timeline.pause();
+  };
+
+  const rebuild = () => {
+    scheduled = false;
+    const time = timeline ? timeline.time() : 0;
+    timeline?.kill();
+    timeline = null;
+
+    const passes = [...members]
+      .sort(byDocumentOrder)
+      .map(member => member.pass())
+      .filter(Boolean);
+    if (!passes.length) return;
+
+    const { order = 'cascade', stagger = 0.12, loopDelay = 1 } = options;
+    const offset = typeof order === 'function' ? order : ORDERS[order] || ORDERS.cascade;
+    timeline = gsap.timeline({ repeat: -1, repeatDelay: loopDelay, paused: !running() });
+    passes.forEach((pass, i) => timeline.add(pass, offset(i, passes.length) * stagger));
+    timeline.time(Math.min(time, timeline.duration()));
+  };
+
+  const refresh = () => {
+    if (scheduled) return;
+    scheduled = true;
+    queueMicrotask(() => {
+      if (scheduled) rebuild();
+    });
+  };
+
+  return {
+    join(member) {
+      members.add(member);
+      refresh();
+      return () => {
+        members.delete(member);
+        refresh();
+      };
+    },
+    refresh,
+    setOptions(next) {
+      options = next;
+      refresh();
+    },
+    setActive(member, active) {
+      member.active = active;
+      sync();
+    },
+    play() {
+      playing = true;
+      sync();
+    },
+    pause() {
+      playing = false;
+      sync();
+    },
+    get timeline() {
+      return timeline;
+    },
+    dispose() {
+      scheduled = false;
+      members.clear();
+      timeline?.kill();
+      timeline = null;
+    }
+  };
+}
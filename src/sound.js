@@ -0,0 +1,176 @@
+/**
+ * sound.js — Optional CRT sound layer (Web Audio, synthesized tones; no sample files)
+ *
+ * Three voices, built from oscillators and noise so nothing has to be downloaded:
+ * - hum: a soft mains hum (60 / 120 Hz through a low-pass) that plays while the site is
+ *   idle and ducks while a zoom sweeps
+ * - tick: a short filtered noise click, played as each Shuffle strip lands
+ * - sweep: a power-surge tone driven by FaultyTerminal's uGatherProgress. Its pitch follows
+ *   the value (rising as the terminal zooms in, falling back down on Return) and so does its
+ *   volume: silent at a whole zoom level and loudest half-way between two, so the sound
+ *   starts, swells and dies away with the zoom over GATHER_DURATION_MS, however fast or slow
+ *   that is, instead of running on a timer of its own. If the value stops changing part-way
+ *   (a cancelled zoom) the sweep fades out.
+ *
+ * Sound is opt-in: muted by default, and the choice is saved in localStorage. Browsers
+ * only let audio start after a user gesture, so useSound resumes the context on the first
+ * pointer / key press.
+ */
+
+/** localStorage key; the value is "on" or "off". */
+const STORAGE_KEY = 'sound';
+
+/** Output levels (0–1) of the whole layer and of each voice. */
+const MASTER_GAIN = 0.6;
+const HUM_GAIN = 0.05;
+const TICK_GAIN = 0.04;
+const SWEEP_GAIN = 0.12;
+
+/** Minimum gap (s) between ticks, so a word's strips landing together don't stack into a burst. */
+const TICK_SPACING_S = 0.025;
+
+/** Sweep pitch (Hz) at progress 0; each zoom level raises it by SWEEP_OCTAVES_PER_LEVEL. */
+const SWEEP_BASE_HZ = 55;
+const SWEEP_OCTAVES_PER_LEVEL = 1.2;
+/** Progress speed (levels/s) below which the value counts as held, and the sweep is left to fade out. */
+const SWEEP_STILL_SPEED = 0.02;
+/** Once the progress stops changing for this long (ms), the sweep fades out (a cancelled zoom stops mid-way). */
+const SWEEP_SETTLE_MS = 120;
+
+export function supportsWebAudio() {
+  return typeof window !== 'undefined' && typeof window.AudioContext === 'function';
+}
+
+/** Saved mute state; true (muted) unless sound was switched on before, or storage is unavailable. */
+export function readSoundMuted() {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY) !== 'on';
+  } catch {
+    return true;
+  }
+}
+
+/** Saves the mute state; ignored when storage is unavailable (private mode, blocked cookies). */
+export function saveSoundMuted(muted) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, muted ? 'off' : 'on');
+  } catch {
+    /* not persisted */
+  }
+}
+
+/**
+ * Creates the audio graph, silent until setMuted(false). Returns { setMuted, resume, tick,
+ * setGather, dispose }; tick and setGather are no-ops while muted or before the context runs.
+ */
+export function createSoundEngine() {
+  const ctx = new window.AudioContext();
+  const master = ctx.createGain();
+  master.gain.value = 0;
+  master.connect(ctx.destination);
+  let muted = true;
+  let suspendTimer = 0;
+
+  const hum = ctx.createGain();
+  hum.gain.value = HUM_GAIN;
+  const humFilter = ctx.createBiquadFilter();
+  humFilter.type = 'lowpass';
+  humFilter.frequency.value = 300;
+  humFilter.connect(hum).connect(master);
+  [
+    { type: 'sine', frequency: 60, level: 1 },
+    { type: 'triangle', frequency: 120, level: 0.35 }
+  ].forEach(({ type, frequency, level }) => {
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.type = type;
+    osc.frequency.value = frequency;
+    gain.gain.value = level;
+    osc.connect(gain).connect(humFilter);
+    osc.start();
+  });
+
+  const sweep = ctx.createGain();
+  sweep.gain.value = 0;
+  const sweepFilter = ctx.createBiquadFilter();
+  sweepFilter.type = 'lowpass';
+  sweepFilter.Q.value = 6;
+  sweepFilter.frequency.value = 400;
+  const sweepOsc = ctx.createOscillator();
+  sweepOsc.type = 'sawtooth';
+  sweepOsc.frequency.value = SWEEP_BASE_HZ;
+  sweepOsc.connect(sweepFilter).connect(sweep).connect(master);
+  sweepOsc.start();
+
+  /* 30ms of white noise fading out; each tick plays it through a band-pass at a slightly random rate. */
+  const noise = ctx.createBuffer(1, Math.round(ctx.sampleRate * 0.03), ctx.sampleRate);
+  const samples = noise.getChannelData(0);
+  for (let i = 0; i < samples.length; i++) samples[i] = (Math.random() * 2 - 1) * (1 - i / samples.length) ** 2;
+  let lastTick = 0;
+
+  let lastProgress = null;
+  let lastProgressTime = 0;
+  let settleTimer = 0;
+
+  const running = () => !muted && ctx.state === 'running';
+
+  return {
+    setMuted(next) {
+      muted = next;
+      clearTimeout(suspendTimer);
+      master.gain.setTargetAtTime(muted ? 0 : MASTER_GAIN, ctx.currentTime, 0.08);
+      /* Suspend once faded out so a muted site doesn't keep the audio thread busy. */
+      if (muted) suspendTimer = setTimeout(() => ctx.suspend(), 400);
+      else ctx.resume();
+    },
+    /** Starts the context after a user gesture (no-op while muted). */
+    resume() {
+      if (!muted && ctx.state === 'suspended') ctx.resume();
+    },
+    tick() {
+      if (!running()) return;
+      const now = ctx.currentTime;
+      if (now - lastTick < TICK_SPACING_S) return;
+      lastTick = now;
+      const source = ctx.createBufferSource();
+      source.buffer = noise;
+      source.playbackRate.value = 0.8 + Math.random() * 0.4;
+      const band = ctx.createBiquadFilter();
+      band.type = 'bandpass';
+      band.frequency.value = 3500;
+      band.Q.value = 1.5;
+      const gain = ctx.createGain();
+      gain.gain.value = TICK_GAIN;
+      source.connect(band).connect(gain).connect(master);
+      source.start(now);
+    },
+    /** Follows uGatherProgress (call it whenever the value changes). */
+    setGather(progress) {
+      const now = ctx.currentTime;
+      const dt = now - lastProgressTime;
+      const speed = lastProgress === null || dt <= 0 ? 0 : Math.abs(progress - lastProgress) / dt;
+      lastProgress = progress;
+      lastProgressTime = now;
+      /* A held value doesn't restart the settle timer, so the sweep fades out on schedule. */
+      if (!running() || speed < SWEEP_STILL_SPEED) return;
+
+      const level = Math.min(Math.max(progress, 0), 3);
+      const loudness = Math.sin(Math.PI * (level % 1));
+      sweepOsc.frequency.setTargetAtTime(SWEEP_BASE_HZ * 2 ** (level * SWEEP_OCTAVES_PER_LEVEL), now, 0.02);
+      sweepFilter.frequency.setTargetAtTime(400 + 2400 * loudness, now, 0.03);
+      sweep.gain.setTargetAtTime(SWEEP_GAIN * loudness, now, 0.03);
+      hum.gain.setTargetAtTime(HUM_GAIN * (1 - 0.7 * loudness), now, 0.05);
+
+      clearTimeout(settleTimer);
+      settleTimer = setTimeout(() => {
+        sweep.gain.setTargetAtTime(0, ctx.currentTime, 0.05);
+        hum.gain.setTargetAtTime(HUM_GAIN, ctx.currentTime, 0.2);
+      }, SWEEP_SETTLE_MS);
+    },
+    dispose() {
+      clearTimeout(suspendTimer);
+      clearTimeout(settleTimer);
+      ctx.close();
+    }
+  };
+}
@@ -0,0 +1,152 @@
+/**
+ * terminal.worker.js — Runs the FaultyTerminal renderer (terminalRenderer.js) off the main thread
+ *
+ * With the `offscreen` prop, FaultyTerminal hands its canvas over with transferControlToOffscreen
+ * and this worker owns the WebGL context and the frame loop, so the shader no longer competes
+ * with Shuffle's GSAP timelines, layout reads and React renders on the main thread. The
+ * component only forwards its input; the zoom runs here and its progress is posted back.
+ *
+ * Messages in ({ type, ... }):
+ * - init: { canvas, viewport, live, uniformValues, message, qualityRange, timeOffset, gather,
+ *   manualTime, hidden }; answered with `failed` if the renderer can't be created
+ * - live: { live }: the props the loop reads; live.clock === 'manual' stops the loop
+ * - viewport: { viewport }: window size and devicePixelRatio
+ * - visibility: { hidden }: while the page is hidden the loop drops to a 100ms interval
+ * - pointer: { event }: a pointer event for applyPointer
+ * - uniforms: { values, tween } / message: { message, start } / qualityRange: { range }
+ * - zoom: { id, to, start, duration, easing, target }: easing by name (functions can't be posted)
+ * - cancel: stops the zoom where it is; answered with `cancelled`
+ * - frame: { t }: clock="manual" renders the frame at t
+ *
+ * Messages out: failed, gather ({ value }: uGatherProgress changed), zoomEnd ({ id, done }),
+ * cancelled ({ value }), quality ({ tier }: as passed to onQualityChange), stats ({ text }).
+ */
+
+import { applyPointer, createPointerSlots, createTerminalRenderer, resolveEasing, stepGather } from './terminalRenderer';
+
+const state = { live: null, pointers: createPointerSlots(), gatherTarget: { x: 0.5, y: 0.5 } };
+/* uGatherProgress and the zoom animating it, as in the component; anim.id is the zoom's id on the main thread */
+const gather = { value: 0, anim: null };
+let reportedGather = 0;
+let terminal = null;
+let hidden = false;
+let manualTime = 0;
+let raf = 0;
+let interval = 0;
+
+const post = message => self.postMessage(message);
+const isManual = () => state.live.clock === 'manual';
+const clockNow = () => (isManual() ? manualTime : performance.now());
+
+/* Dedicated workers have requestAnimationFrame in Chromium and Firefox; elsewhere a 60 fps timer stands in. */
+const requestFrame = self.requestAnimationFrame
+  ? callback => self.requestAnimationFrame(callback)
+  : callback => setTimeout(() => callback(performance.now()), 1000 / 60);
+const cancelFrame = self.cancelAnimationFrame ? id => self.cancelAnimationFrame(id) : id => clearTimeout(id);
+
+function advanceGather(t) {
+  stepGather(gather, t);
+  if (gather.value !== reportedGather) {
+    reportedGather = gather.value;
+    post({ type: 'gather', value: gather.value });
+  }
+  return gather.value;
+}
+
+/** Realtime loop; only visible frames count towards the quality governor. */
+function loop(t) {
+  raf = 0;
+  if (isManual()) return;
+  if (!hidden) {
+    raf = requestFrame(loop);
+    terminal.trackFrame(t);
+  }
+  terminal.render(t, false);
+}
+
+/** (Re)starts the loop for the current clock and visibility: RAF while visible, 100ms while hidden, none when manual. */
+function schedule() {
+  cancelFrame(raf);
+  raf = 0;
+  clearInterval(interval);
+  interval = 0;
+  if (isManual()) return;
+  if (hidden) interval = setInterval(() => loop(performance.now()), 100);
+  else raf = requestFrame(loop);
+}
+
+const handlers = {
+  init(data) {
+    state.live = data.live;
+    gather.value = reportedGather = data.gather;
+    manualTime = data.manualTime;
+    hidden = data.hidden;
+    try {
+      terminal = createTerminalRenderer({
+        canvas: data.canvas,
+        viewport: data.viewport,
+        state,
+        advanceGather,
+        qualityRange: data.qualityRange,
+        uniformValues: data.uniformValues,
+        timeOffset: data.timeOffset,
+        manual: isManual(),
+        onQualityChange: tier => post({ type: 'quality', tier }),
+        onStats: text => post({ type: 'stats', text })
+      });
+    } catch (error) {
+      post({ type: 'failed', reason: String(error) });
+      return;
+    }
+    terminal.showMessage(data.message, isManual() ? manualTime : null);
+    if (isManual()) terminal.render(manualTime, true);
+    schedule();
+  },
+  live({ live }) {
+    const wasManual = isManual();
+    state.live = live;
+    if (isManual() !== wasManual) schedule();
+  },
+  viewport({ viewport }) {
+    terminal.setViewport(viewport);
+  },
+  visibility(data) {
+    hidden = data.hidden;
+    /* Start a fresh measurement; the gap while hidden says nothing about render cost. */
+    if (!hidden) terminal.resetGovernor();
+    schedule();
+  },
+  pointer({ event }) {
+    applyPointer(state.pointers, event);
+  },
+  uniforms({ values, tween }) {
+    terminal.syncUniforms(values, tween, clockNow());
+  },
+  message({ message, start }) {
+    terminal.showMessage(message, start);
+  },
+  qualityRange({ range }) {
+    terminal.setQualityRange(range);
+  },
+  zoom({ id, to, start, duration, easing, target }) {
+    gather.anim?.resolve(false);
+    if (target) state.gatherTarget = target;
+    const resolve = done => post({ type: 'zoomEnd', id, done });
+    gather.anim = { from: gather.value, to, start, duration, easing: resolveEasing(easing), resolve };
+  },
+  cancel() {
+    const anim = gather.anim;
+    gather.anim = null;
+    anim?.resolve(false);
+    post({ type: 'cancelled', value: gather.value });
+  },
+  frame({ t }) {
+    manualTime = t;
+    terminal.render(t, true);
+  }
+};
+
+/* Until init has created the renderer (or after it failed) only init is handled. */
+self.onmessage = ({ data }) => {
+  if (data.type === 'init' || terminal) handlers[data.type](data);
+};
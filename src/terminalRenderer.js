@@ -0,0 +1,742 @@
+/**
+ * terminalRenderer.js — The FaultyTerminal renderer core: WebGL setup and one frame of the shader
+ *
+ * Everything that touches the GL context lives here, so it can run either inside the
+ * component (the default) or in a Web Worker on an OffscreenCanvas (terminal.worker.js,
+ * FaultyTerminal's `offscreen` prop). The host owns the clock and the loop: it calls
+ * render(t, manual) once per frame and trackFrame(t) for frames that count towards the
+ * quality governor. Nothing here reads `window` or `document`; the host passes the
+ * viewport ({ width, height, dpr }) in and calls setViewport when it changes.
+ *
+ * createTerminalRenderer reads the host's state through `state` on every frame:
+ * - state.live: the props the loop reads (scale, timeScale, pause, mouseReact,
+ *   pageLoadAnimation, adaptiveQuality, qualityOverlay)
+ * - state.pointers: the glow slots, updated by applyPointer
+ * - state.gatherTarget: the point the zoom gathers toward (0–1, origin bottom-left)
+ * The zoom itself stays with the host (its promises are the host's), which advances it
+ * through the advanceGather(t) option; that returns the uGatherProgress to draw.
+ */
+
+import { Renderer, Program, Mesh, Color, Triangle, Texture } from 'ogl';
+import { QUALITY_TIERS, createQualityGovernor } from './quality';
+import { ATLAS_COLUMNS, ATLAS_ROWS, MAX_MESSAGE_LENGTH, drawGlyphAtlas, encodeMessage } from './glyphAtlas';
+import { BARREL_GLSL, BUILTIN_PASSES, GATHER_GLSL, createPassPipeline } from './postPasses';
+
+/** Glow points the shader supports at once (slot 0: the mouse / pen / first finger; the rest: extra fingers). */
+export const MAX_POINTERS = 4;
+
+/* -----------------------------------------------------------------------------
+   Vertex shader
+   -----------------------------------------------------------------------------
+   Draws a full-screen triangle; passes through UVs (0–1) for the fragment shader.
+   No transforms; the fragment shader does all the work in UV space.
+   ----------------------------------------------------------------------------- */
+
+const vertexShader = `
+attribute vec2 position;
+attribute vec2 uv;
+varying vec2 vUv;
+void main() {
+  vUv = uv;
+  gl_Position = vec4(position, 0.0, 1.0);
+}
+`;
+
+/* -----------------------------------------------------------------------------
+   Fragment shader (GLSL): the grid
+   -----------------------------------------------------------------------------
+   For each pixel of the grid texture (overscanned by uOverscan for a warping pass):
+   1. Barrel-distorts the UV by uCurvature (BARREL_GLSL).
+   2. When zooming (uGatherProgress > 0), warps UV and mouse so the "gather"
+      effect is centered on the click point and stays in sync.
+   3. Computes a "digit" grid: each cell's brightness comes from pattern()
+      (FBM noise) plus optional mouse glow and optional page-load fade.
+   4. Adds horizontal displacement (glitch) and the glow around lit cells.
+   Scanlines, chromatic aberration, tint and dither are
+   post-processing passes (postPasses.js) run over this texture.
+   ----------------------------------------------------------------------------- */
+
+const fragmentShader = `
+precision mediump float;
+
+varying vec2 vUv;
+
+uniform float iTime;
+uniform float uOverscan;
+
+uniform float uDigitSize;
+uniform float uGlitchAmount;
+uniform float uFlickerAmount;
+uniform float uNoiseAmp;
+uniform vec2  uPointers[${MAX_POINTERS}];
+uniform float uPointerStrength[${MAX_POINTERS}];
+uniform float uMouseStrength;
+uniform float uUseMouse;
+uniform float uPageLoadProgress;
+uniform float uUsePageLoadAnimation;
+uniform float uGlow;
+uniform sampler2D uGlyphAtlas;
+uniform sampler2D uMessage;
+uniform float uMessageLength;
+uniform vec2  uMessagePos;
+uniform float uMessageOpacity;
+${GATHER_GLSL}
+${BARREL_GLSL}
+float time;
+float grainTime;
+vec2 pointerSamplingPos[${MAX_POINTERS}];
+
+float noise(vec2 p)
+{
+  return sin(p.x * 10.0) * sin(p.y * (3.0 + sin(grainTime * 0.090909))) + 0.2; 
+}
+
+mat2 rotate(float angle)
+{
+  float c = cos(angle);
+  float s = sin(angle);
+  return mat2(c, -s, s, c);
+}
+
+float fbm(vec2 p)
+{
+  p *= 1.1;
+  float f = 0.0;
+  float amp = 0.5 * uNoiseAmp;
+  
+  mat2 modify0 = rotate(grainTime * 0.02);
+  f += amp * noise(p);
+  p = modify0 * p * 2.0;
+  amp *= 0.454545;
+  
+  mat2 modify1 = rotate(grainTime * 0.02);
+  f += amp * noise(p);
+  p = modify1 * p * 2.0;
+  amp *= 0.454545;
+  
+  mat2 modify2 = rotate(grainTime * 0.08);
+  f += amp * noise(p);
+  
+  return f;
+}
+
+float pattern(vec2 p, out vec2 q, out vec2 r) {
+  vec2 offset1 = vec2(1.0);
+  vec2 offset0 = vec2(0.0);
+  mat2 rot01 = rotate(0.1 * grainTime);
+  mat2 rot1 = rotate(0.1);
+  
+  q = vec2(fbm(p + offset1), fbm(rot01 * p + offset1));
+  r = vec2(fbm(rot1 * q + offset0), fbm(q + offset0));
+  return fbm(p + r);
+}
+
+/* Glyph index (into the atlas) shown in a grid cell, or -1 if the cell isn't part of the message.
+   The message runs along the row of the cell under uMessagePos, centred on that cell. */
+float messageGlyph(vec2 cell, vec2 grid){
+  vec2 anchor = floor(uMessagePos * uScale * grid);
+  float col = cell.x - anchor.x + floor(uMessageLength * 0.5);
+  if (abs(cell.y - anchor.y) > 0.5 || col < 0.0 || col >= uMessageLength) return -1.0;
+  return floor(texture2D(uMessage, vec2((col + 0.5) / ${MAX_MESSAGE_LENGTH.toFixed(1)}, 0.5)).r * 255.0 + 0.5);
+}
+
+/* Coverage (0–1) of a glyph at a point inside its cell (local 0–1, origin bottom-left). */
+float glyphAlpha(float index, vec2 local){
+  vec2 atlasSize = vec2(${ATLAS_COLUMNS.toFixed(1)}, ${ATLAS_ROWS.toFixed(1)});
+  vec2 atlasCell = vec2(mod(index, atlasSize.x), floor(index / atlasSize.x));
+  return texture2D(uGlyphAtlas, (atlasCell + vec2(local.x, 1.0 - local.y)) / atlasSize).a;
+}
+
+float digit(vec2 p){
+    vec2 grid = uGridMul * 15.0;
+    vec2 s = floor(p * grid) / grid;
+    p = p * grid;
+    vec2 q, r;
+    float intensity = pattern(s * 0.1, q, r) * 1.3 - 0.03;
+    
+    if(uUseMouse > 0.5){
+        for (int k = 0; k < ${MAX_POINTERS}; k++) {
+            if (uPointerStrength[k] < 0.001) continue;
+            float distToMouse = distance(s, pointerSamplingPos[k]);
+            float mouseInfluence = exp(-distToMouse * 8.0) * uMouseStrength * 10.0 * uPointerStrength[k];
+            intensity += mouseInfluence;
+            
+            float ripple = sin(distToMouse * 20.0 - iTime * 5.0) * 0.1 * mouseInfluence;
+            intensity += ripple;
+        }
+    }
+    
+    if(uUsePageLoadAnimation > 0.5){
+        float cellRandom = fract(sin(dot(s, vec2(12.9898, 78.233))) * 43758.5453);
+        float cellDelay = cellRandom * 0.8;
+        float cellProgress = clamp((uPageLoadProgress - cellDelay) / 0.2, 0.0, 1.0);
+        
+        float fadeAlpha = smoothstep(0.0, 1.0, cellProgress);
+        intensity *= fadeAlpha;
+    }
+    
+    float glyph = uMessageOpacity > 0.001 ? messageGlyph(floor(p), grid) : -1.0;
+    
+    p = fract(p);
+    p *= uDigitSize;
+    
+    float px5 = p.x * 5.0;
+    float py5 = (1.0 - p.y) * 5.0;
+    float x = fract(px5);
+    float y = fract(py5);
+    
+    float i = floor(py5) - 2.0;
+    float j = floor(px5) - 2.0;
+    float n = i * i + j * j;
+    float f = n * 0.0625;
+    
+    float isOn = step(0.1, intensity - f);
+    float brightness = isOn * (0.2 + y * 0.8) * (0.75 + x * 0.25);
+    
+    if (glyph >= 0.0) {
+        float letter = glyphAlpha(glyph, p) * (0.6 + p.y * 0.4);
+        brightness = mix(brightness, letter, uMessageOpacity);
+    }
+    
+    return step(0.0, p.x) * step(p.x, 1.0) * step(0.0, p.y) * step(p.y, 1.0) * brightness;
+}
+
+float onOff(float a, float b, float c)
+{
+  return step(c, sin(iTime + a * cos(iTime * b))) * uFlickerAmount;
+}
+
+float displace(vec2 look)
+{
+    float y = look.y - mod(iTime * 0.25, 1.0);
+    float window = 1.0 / (1.0 + 50.0 * y * y);
+    return sin(look.y * 20.0 + iTime) * 0.0125 * onOff(4.0, 2.0, 0.8) * (1.0 + cos(iTime * 60.0)) * window;
+}
+
+/* Light at a grid-space point: x = the cell's own digit, y = the glow around it. */
+vec2 getLight(vec2 p){
+    float displacement = displace(p);
+    p.x += displacement;
+
+    if (uGlitchAmount != 1.0) {
+      float extra = displacement * (uGlitchAmount - 1.0);
+      p.x += extra;
+    }
+
+    float middle = digit(p);
+    
+    /* 9-tap glow around each lit cell; the lowest quality tier (uGlow = 0) uses the centre sample only. */
+    const float off = 0.002;
+    float sum = middle * 9.0;
+    if (uGlow > 0.5) {
+      sum = digit(p + vec2(-off, -off)) + digit(p + vec2(0.0, -off)) + digit(p + vec2(off, -off)) +
+            digit(p + vec2(-off, 0.0)) + middle + digit(p + vec2(off, 0.0)) +
+            digit(p + vec2(-off, off)) + digit(p + vec2(0.0, off)) + digit(p + vec2(off, off));
+    }
+    
+    return vec2(middle, sum * 0.1);
+}
+
+void main() {
+    time = iTime * 0.333333;
+    grainTime = (uGatherProgress > 0.5) ? (iTime * 0.005) : time;
+    vec2 uv = barrel(vUv * (1.0 + 2.0 * uOverscan) - uOverscan);
+
+    vec2 p = gatheredPosition(uv * uScale);
+    for (int k = 0; k < ${MAX_POINTERS}; k++) {
+      pointerSamplingPos[k] = gatheredPosition(uPointers[k] * uScale);
+    }
+
+    /* rgb: the grey grid with its glow at full strength; alpha: the glow alone, for the scanlines pass to scale. */
+    vec2 light = getLight(p);
+    gl_FragColor = vec4(vec3(0.9 * light.x + light.y), light.y);
+}
+`;
+
+/* -----------------------------------------------------------------------------
+   Helpers
+   ----------------------------------------------------------------------------- */
+
+function easeOutCubic(t) {
+  return 1 - Math.pow(1 - t, 3);
+}
+
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+/** Fade-in / fade-out time (ms) of a `message` in the grid. */
+const MESSAGE_FADE_MS = 350;
+
+/** Named easings for zoomTo / zoomBack; a function (t → eased t) works too. */
+const EASINGS = {
+  linear: t => t,
+  easeOutCubic,
+  easeInOutCubic
+};
+
+export function resolveEasing(easing) {
+  if (typeof easing === 'function') return easing;
+  return EASINGS[easing] || easeOutCubic;
+}
+
+/**
+ * Advances the zoom animation in `gather` ({ value, anim }) to time t. Unless it was given one
+ * (manual clock), the animation's start time is taken from its first frame; when it ends, value lands exactly on the target and
+ * its promise resolves true.
+ */
+export function stepGather(gather, t) {
+  const anim = gather.anim;
+  if (!anim) return;
+  if (anim.start === null) anim.start = t;
+  const k = anim.duration > 0 ? Math.min((t - anim.start) / anim.duration, 1) : 1;
+  if (k < 1) {
+    gather.value = anim.from + (anim.to - anim.from) * anim.easing(k);
+    return;
+  }
+  gather.value = anim.to;
+  gather.anim = null;
+  anim.resolve(true);
+}
+
+/**
+ * Props written straight to a uniform (prop name → uniform name). Changing one updates the
+ * running shader; with the `tween` prop the uniform blends toward the new value instead.
+ */
+const PROP_UNIFORMS = {
+  gridMul: 'uGridMul',
+  digitSize: 'uDigitSize',
+  scanlineIntensity: 'uScanlineIntensity',
+  glitchAmount: 'uGlitchAmount',
+  flickerAmount: 'uFlickerAmount',
+  noiseAmp: 'uNoiseAmp',
+  chromaticAberration: 'uChromaticAberration',
+  dither: 'uDither',
+  curvature: 'uCurvature',
+  tint: 'uTint',
+  mouseStrength: 'uMouseStrength',
+  brightness: 'uBrightness'
+};
+
+/** Copy of a uniform value (a number, or an array for tint / gridMul) that later props can't mutate. */
+function cloneValue(v) {
+  return typeof v === 'number' ? v : Array.from(v);
+}
+
+function sameValue(a, b) {
+  if (typeof a === 'number' || typeof b === 'number') return a === b;
+  return a.length === b.length && a.every((x, i) => x === b[i]);
+}
+
+function lerpValue(from, to, k) {
+  if (typeof from === 'number') return from + (to - from) * k;
+  return from.map((x, i) => x + (to[i] - x) * k);
+}
+
+/** Tween length (ms) for a prop: `tween` is one duration for every prop, or per prop ({ brightness: 600 }). */
+function tweenDurationFor(tween, prop) {
+  if (typeof tween === 'number') return tween;
+  return tween?.[prop] || 0;
+}
+
+/**
+ * Pointer Events → glow slots. The mouse, a pen and the primary finger drive slot 0; each further
+ * finger takes a free slot on pointerdown (jumping there, so it doesn't slide in from elsewhere)
+ * and releases it on pointerup / pointercancel, where its glow fades out. `e` is the event's
+ * { type, pointerId, pointerType, isPrimary } with x / y already in 0–1 (origin bottom-left), so
+ * it can be posted to a worker as is.
+ */
+export function applyPointer(slots, e) {
+  let slot = slots.find(sl => sl.id === e.pointerId);
+  if (e.type === 'pointerup' || e.type === 'pointercancel') {
+    if (!slot) return;
+    slot.id = null;
+    if (slot !== slots[0]) slot.active = false;
+    return;
+  }
+  if (!slot) {
+    if (e.pointerType !== 'touch' || e.isPrimary) slot = slots[0];
+    else if (e.type === 'pointerdown') slot = slots.slice(1).find(sl => sl.id === null);
+    if (!slot) return;
+    if (e.pointerType === 'touch' && e.type === 'pointerdown') {
+      slot.sx = e.x;
+      slot.sy = e.y;
+    }
+    if (e.pointerType === 'touch') slot.id = e.pointerId;
+  }
+  slot.x = e.x;
+  slot.y = e.y;
+  slot.active = true;
+}
+
+/**
+ * Glow points, one per uPointers slot: x/y is where the pointer is (0–1, origin bottom-left), sx/sy the
+ * smoothed position the shader gets, strength fades toward 1 while `active`. id is the pointerId in the slot.
+ * Slot 0 is always on (the cursor, or the last place a finger touched), as the single mouse glow was.
+ */
+export function createPointerSlots() {
+  return Array.from({ length: MAX_POINTERS }, (_, i) => ({ id: null, x: 0.5, y: 0.5, sx: 0.5, sy: 0.5, strength: i === 0 ? 1 : 0, active: i === 0 }));
+}
+
+/* -----------------------------------------------------------------------------
+   Renderer
+   ----------------------------------------------------------------------------- */
+
+/**
+ * Creates the renderer, program and pass pipeline on `canvas` (an HTMLCanvasElement or an
+ * OffscreenCanvas; OGL makes one when it's omitted). Throws when the context can't be created.
+ *
+ * Options: viewport, state and advanceGather (see the top of the file); passes; qualityRange;
+ * uniformValues (the PROP_UNIFORMS props to start from); timeOffset (shader time at mount, before
+ * timeScale); manual (the clock starts at 0 rather than on the first frame); onQualityChange(tier)
+ * for every tier applied; onStats(text), about twice a second while state.live.qualityOverlay is on.
+ *
+ * Returns { canvas, render, trackFrame, resetGovernor, setViewport, syncUniforms, showMessage,
+ * setPasses, setQualityRange, beginExport, endExport, dispose }.
+ */
+export function createTerminalRenderer({
+  canvas,
+  viewport,
+  state,
+  advanceGather,
+  passes = BUILTIN_PASSES,
+  qualityRange,
+  uniformValues,
+  timeOffset = 0,
+  manual = false,
+  onQualityChange,
+  onStats
+}) {
+  /* The grid density (uScale) always uses the full DPR cap so a quality change doesn't resize the cells. */
+  const baseDpr = Math.min(viewport.dpr, QUALITY_TIERS[0].dprCap);
+  const governor = createQualityGovernor(qualityRange);
+  let tier = QUALITY_TIERS[governor.tier];
+  const dprFor = q => Math.min(viewport.dpr, q.dprCap);
+  const renderer = new Renderer({ canvas, dpr: dprFor(tier), antialias: false });
+  const gl = renderer.gl;
+  gl.clearColor(0, 0, 0, 1);
+
+  const geometry = new Triangle(gl);
+
+  /* The post-processing passes get these same uniform objects, so a value written here reaches every pass. */
+  const program = new Program(gl, {
+    vertex: vertexShader,
+    fragment: fragmentShader,
+    uniforms: {
+      iTime: { value: 0 },
+      /* Margin the grid texture is drawn past each screen edge; set by the pass pipeline */
+      uOverscan: { value: 0 },
+      iResolution: { value: new Color(gl.canvas.width, gl.canvas.height, gl.canvas.width / gl.canvas.height) },
+      uScale: { value: state.live.scale },
+      uGridMul: { value: new Float32Array(2) },
+      uDigitSize: { value: 0 },
+      uScanlineIntensity: { value: 0 },
+      uGlitchAmount: { value: 0 },
+      uFlickerAmount: { value: 0 },
+      uNoiseAmp: { value: 0 },
+      uChromaticAberration: { value: 0 },
+      uDither: { value: 0 },
+      uCurvature: { value: 0 },
+      uTint: { value: new Color(1, 1, 1) },
+      /* Plain arrays: OGL only matches "uPointers[0]"-style uniforms to Array values */
+      uPointers: { value: new Array(MAX_POINTERS * 2).fill(0.5) },
+      uPointerStrength: { value: new Array(MAX_POINTERS).fill(0) },
+      uMouseStrength: { value: 0 },
+      uUseMouse: { value: state.live.mouseReact ? 1 : 0 },
+      uPageLoadProgress: { value: state.live.pageLoadAnimation ? 0 : 1 },
+      uUsePageLoadAnimation: { value: state.live.pageLoadAnimation ? 1 : 0 },
+      uBrightness: { value: 0 },
+      uGatherProgress: { value: 0 },
+      uTargetPos: { value: new Float32Array([0.5, 0.5]) },
+      uGlow: { value: tier.glow ? 1 : 0 },
+      uGlyphAtlas: {
+        value: new Texture(gl, { image: drawGlyphAtlas(), generateMipmaps: false, flipY: false })
+      },
+      uMessage: {
+        value: new Texture(gl, {
+          image: new Uint8Array(MAX_MESSAGE_LENGTH * 4),
+          width: MAX_MESSAGE_LENGTH,
+          height: 1,
+          generateMipmaps: false,
+          flipY: false,
+          minFilter: gl.NEAREST,
+          magFilter: gl.NEAREST
+        })
+      },
+      uMessageLength: { value: 0 },
+      uMessagePos: { value: new Float32Array([0.5, 0.5]) },
+      uMessageOpacity: { value: 0 }
+    }
+  });
+
+  const mesh = new Mesh(gl, { geometry, program });
+
+  /* Post-processing: the grid renders to a texture and the passes (postPasses.js) turn it into the final picture. */
+  let pipeline = createPassPipeline(gl, { passes, uniforms: program.uniforms, geometry });
+  const setPasses = next => {
+    if (next === passes) return;
+    passes = next;
+    pipeline.dispose();
+    pipeline = createPassPipeline(gl, { passes, uniforms: program.uniforms, geometry });
+  };
+
+  /*
+   * Message: `shown` is the message being drawn ({ text, position, duration, start }); its text
+   * stays in the texture while it fades out, so clearing it only drops `visible`.
+   */
+  const messageState = { shown: null, visible: false, opacity: 0 };
+  /** Shows a message from clock time `start` (null: from the next frame); a message without text fades out. */
+  const showMessage = (next, start) => {
+    if (!next || !next.text) {
+      messageState.visible = false;
+      return;
+    }
+    const texture = program.uniforms.uMessage.value;
+    program.uniforms.uMessageLength.value = encodeMessage(next.text, texture.image);
+    texture.needsUpdate = true;
+    messageState.shown = { position: next.position ?? 'target', duration: next.duration || 0, start };
+    messageState.visible = true;
+  };
+
+  /** Fades the message toward visible / hidden and keeps its anchor on its position (or the zoom point). */
+  const updateMessage = (t, delta) => {
+    const shown = messageState.shown;
+    if (!shown) return;
+    if (shown.start === null) shown.start = t;
+    if (shown.duration > 0 && t - shown.start > shown.duration) messageState.visible = false;
+    const step = delta / MESSAGE_FADE_MS;
+    messageState.opacity = messageState.visible ? Math.min(messageState.opacity + step, 1) : Math.max(messageState.opacity - step, 0);
+    program.uniforms.uMessageOpacity.value = messageState.opacity;
+    const anchor = shown.position === 'target' ? state.gatherTarget : shown.position;
+    const pos = program.uniforms.uMessagePos.value;
+    pos[0] = anchor.x;
+    pos[1] = anchor.y;
+  };
+
+  /*
+   * Uniform-backed props: `targets` holds the latest prop values, `current` what the shader has
+   * now (they differ while a tween runs), `tweens` the running blends keyed by prop name.
+   */
+  const targets = {};
+  const current = {};
+  const tweens = {};
+
+  /** Writes a prop's current value to its uniform (chromatic aberration stays off on tiers that drop it). */
+  const writeUniform = prop => {
+    const uniform = program.uniforms[PROP_UNIFORMS[prop]];
+    const value = prop === 'chromaticAberration' && !tier.chromaticAberration ? 0 : current[prop];
+    if (typeof value === 'number') uniform.value = value;
+    else value.forEach((x, i) => (uniform.value[i] = x));
+  };
+
+  /** Starts a tween (`tween` as in the prop) or writes immediately for every prop whose value changed since the last sync. */
+  const syncUniforms = (values, tween, now) => {
+    Object.keys(PROP_UNIFORMS).forEach(prop => {
+      const next = values[prop];
+      if (prop in targets && sameValue(targets[prop], next)) return;
+      const duration = prop in targets ? tweenDurationFor(tween, prop) : 0;
+      targets[prop] = cloneValue(next);
+      if (duration > 0) {
+        tweens[prop] = { from: cloneValue(current[prop]), start: now, duration };
+      } else {
+        delete tweens[prop];
+        current[prop] = cloneValue(next);
+        writeUniform(prop);
+      }
+    });
+  };
+
+  /** Advances every running tween to time t (eased), writing the blended values. */
+  const advanceTweens = t => {
+    Object.keys(tweens).forEach(prop => {
+      const { from, start, duration } = tweens[prop];
+      const k = Math.min(Math.max((t - start) / duration, 0), 1);
+      current[prop] = k < 1 ? lerpValue(from, targets[prop], easeInOutCubic(k)) : cloneValue(targets[prop]);
+      if (k >= 1) delete tweens[prop];
+      writeUniform(prop);
+    });
+  };
+
+  syncUniforms(uniformValues, 0, 0);
+
+  /* Set during an export: the viewport ({ width, height, pixelRatio }) drawn instead of the host's */
+  let exportView = null;
+
+  /*
+   * Render at the tier's fraction of the viewport, then set the canvas display size to the full viewport so we draw
+   * fewer pixels. An export draws its own viewport at full resolution instead; the canvas keeps its size on screen
+   * meanwhile. An OffscreenCanvas has no style: its host sizes the placeholder canvas.
+   */
+  let appliedScale = state.live.scale;
+  const resize = () => {
+    const w = exportView ? exportView.width : viewport.width;
+    const h = exportView ? exportView.height : viewport.height;
+    const rw = exportView ? w : Math.ceil(w * tier.resolutionScale);
+    const rh = exportView ? h : Math.ceil(h * tier.resolutionScale);
+
+    renderer.dpr = exportView ? exportView.pixelRatio : dprFor(tier);
+    renderer.setSize(rw, rh);
+    if (gl.canvas.style) {
+      gl.canvas.style.width = viewport.width + 'px';
+      gl.canvas.style.height = viewport.height + 'px';
+    }
+
+    program.uniforms.iResolution.value.set(w, h, w / h);
+
+    const referenceWidth = 1920;
+    const referenceHeight = 1080;
+    const scaleFactor = Math.min(w / referenceWidth, h / referenceHeight) * baseDpr;
+
+    appliedScale = state.live.scale;
+    program.uniforms.uScale.value = appliedScale * scaleFactor;
+  };
+
+  const setViewport = next => {
+    viewport = next;
+    resize();
+  };
+
+  /** Draws with quality tier q: resolution and DPR via resize(), optional effects via uniforms. */
+  const showTier = q => {
+    tier = q;
+    writeUniform('chromaticAberration');
+    program.uniforms.uGlow.value = tier.glow ? 1 : 0;
+    resize();
+  };
+  const applyTier = index => {
+    showTier(QUALITY_TIERS[index]);
+    onQualityChange?.({ tier: index, ...tier });
+  };
+  applyTier(governor.tier);
+  /* An export keeps the best tier's effects; the new range takes effect when it ends. */
+  const setQualityRange = range => {
+    const index = governor.setRange(range);
+    if (!exportView) applyTier(index);
+  };
+
+  /* Frame-time bookkeeping for the governor and the debug overlay (only the frames the host passes to trackFrame). */
+  let lastFrameTime = 0;
+  let overlayFrames = 0;
+  let overlayTotal = 0;
+  let overlayTick = 0;
+  const trackFrame = t => {
+    const delta = lastFrameTime ? t - lastFrameTime : 0;
+    lastFrameTime = t;
+    if (!delta) return;
+    if (state.live.adaptiveQuality) {
+      const next = governor.frame(delta, t);
+      if (next >= 0) applyTier(next);
+    }
+    if (!state.live.qualityOverlay || !onStats) return;
+    overlayFrames += 1;
+    overlayTotal += delta;
+    if (t - overlayTick < 500) return;
+    const ms = overlayTotal / overlayFrames;
+    onStats(`${tier.name} · ${ms.toFixed(1)} ms (${Math.round(1000 / ms)} fps) · ${tier.resolutionScale}× @ ${renderer.dpr} dpr`);
+    overlayFrames = 0;
+    overlayTotal = 0;
+    overlayTick = t;
+  };
+
+  /** Starts a fresh measurement, e.g. after the tab was hidden; that gap says nothing about render cost. */
+  const resetGovernor = () => {
+    lastFrameTime = 0;
+    governor.reset();
+  };
+
+  /* Shader time starts at an offset (random, or from the seed) so the pattern differs on every visit. */
+  program.uniforms.iTime.value = timeOffset * state.live.timeScale;
+  /* Clock time of the previous frame (null: none yet) and of the page-load fade's start; a manual clock starts at 0 */
+  let wasManual = manual;
+  let lastUpdateTime = manual ? 0 : null;
+  let loadAnimationStart = manual ? 0 : null;
+
+  /**
+   * One frame at clock time t (`manual`: t is on the manual clock rather than requestAnimationFrame's): updates time,
+   * page-load progress, mouse smoothing, zoom state and the message, then renders.
+   */
+  const render = (t, manualClock) => {
+    const live = state.live;
+    /* RAF and manual times aren't comparable: the first frame after switching clocks doesn't advance time. */
+    if (manualClock !== wasManual) {
+      wasManual = manualClock;
+      lastUpdateTime = null;
+    }
+
+    /* Time advances by the frame delta × timeScale, so changing timeScale or un-pausing never jumps
+       (real frames are capped at 250ms so a stall doesn't skip ahead; manual steps are taken as given). */
+    const frameDelta = lastUpdateTime === null ? 0 : manualClock ? t - lastUpdateTime : Math.min(t - lastUpdateTime, 250);
+    lastUpdateTime = t;
+    if (!live.pause) {
+      program.uniforms.iTime.value += frameDelta * 0.001 * live.timeScale;
+    }
+
+    if (live.scale !== appliedScale) resize();
+    advanceTweens(t);
+
+    if (live.pageLoadAnimation && loadAnimationStart === null) {
+      loadAnimationStart = t;
+    }
+
+    if (live.pageLoadAnimation) {
+      const animationDuration = 2000;
+      const animationElapsed = t - loadAnimationStart;
+      const progress = Math.min(animationElapsed / animationDuration, 1);
+      program.uniforms.uPageLoadProgress.value = progress;
+    } else if (!live.pageLoadAnimation) {
+      program.uniforms.uPageLoadProgress.value = 1;
+    }
+    program.uniforms.uUsePageLoadAnimation.value = live.pageLoadAnimation ? 1 : 0;
+
+    program.uniforms.uUseMouse.value = live.mouseReact ? 1 : 0;
+    if (live.mouseReact) {
+      const dampingFactor = 0.08;
+      const fadeFactor = 0.12;
+      const positions = program.uniforms.uPointers.value;
+      const strengths = program.uniforms.uPointerStrength.value;
+      state.pointers.forEach((slot, i) => {
+        slot.sx += (slot.x - slot.sx) * dampingFactor;
+        slot.sy += (slot.y - slot.sy) * dampingFactor;
+        slot.strength += ((slot.active ? 1 : 0) - slot.strength) * fadeFactor;
+        positions[i * 2] = slot.sx;
+        positions[i * 2 + 1] = slot.sy;
+        strengths[i] = slot.strength;
+      });
+    }
+
+    /* Zoom (zoomTo / zoomBack, or the transition props): the host advances uGatherProgress toward its target. */
+    program.uniforms.uGatherProgress.value = advanceGather(t);
+    updateMessage(t, frameDelta);
+    const tu = program.uniforms.uTargetPos.value;
+    tu[0] = state.gatherTarget.x;
+    tu[1] = state.gatherTarget.y;
+
+    pipeline.render(renderer, mesh);
+  };
+
+  return {
+    canvas: gl.canvas,
+    render,
+    trackFrame,
+    resetGovernor,
+    setViewport,
+    syncUniforms,
+    showMessage,
+    setPasses,
+    setQualityRange,
+    /** Draws the export viewport ({ width, height, pixelRatio }) at the best tier until endExport. */
+    beginExport(view) {
+      exportView = view;
+      showTier(QUALITY_TIERS[0]);
+    },
+    endExport() {
+      exportView = null;
+      applyTier(governor.tier);
+    },
+    /* Release the context in every build; browsers cap live contexts and dev remounts (StrictMode, HMR) would leak them. */
+    dispose() {
+      pipeline.dispose();
+      gl.getExtension('WEBGL_lose_context')?.loseContext();
+    }
+  };
+}
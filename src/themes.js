@@ -0,0 +1,174 @@
+/**
+ * themes.js — Named colour themes for the CRT background and the page chrome
+ *
+ * Each theme bundles two things:
+ * - shader: the FaultyTerminal props that set the CRT look (tint, scanlines, glitch, ...)
+ * - vars: CSS custom properties for the panel, header/labels (Shuffle), Return button
+ *   and footer; index.css holds the green defaults and applyTheme() overwrites them on <html>
+ *
+ * The chosen theme is saved in localStorage. A "?theme=amber" URL parameter wins over the
+ * saved choice (and is saved too), so a themed link can be shared.
+ */
+
+/** localStorage key and URL parameter name for the theme id. */
+const STORAGE_KEY = 'theme';
+const URL_PARAM = 'theme';
+
+export const THEMES = [
+  {
+    id: 'green',
+    label: 'Green phosphor',
+    shader: {
+      tint: '#7FAF7A',
+      scanlineIntensity: 1,
+      glitchAmount: 1,
+      flickerAmount: 1,
+      noiseAmp: 1,
+      chromaticAberration: 0,
+      curvature: 0.15,
+      brightness: 1
+    },
+    vars: {
+      '--theme-background': '#000',
+      '--theme-accent-rgb': '127, 175, 122',
+      '--theme-accent-hover': '#9bc997',
+      '--theme-text-rgb': '200, 220, 195',
+      '--theme-panel-rgb': '0, 0, 0',
+      '--theme-highlight': '#fff',
+      '--theme-chrome': '#fff',
+      '--theme-shuffle-color': '#f5f1ea',
+      '--theme-shuffle-outline': '#000',
+      '--theme-footer-rgb': '220, 100, 40',
+      '--theme-footer-text-rgb': '255, 255, 255',
+      '--theme-canvas-filter': 'none'
+    }
+  },
+  {
+    id: 'amber',
+    label: 'Amber',
+    shader: {
+      tint: '#FFB000',
+      scanlineIntensity: 1,
+      glitchAmount: 0.8,
+      flickerAmount: 1,
+      noiseAmp: 1,
+      chromaticAberration: 0,
+      curvature: 0.15,
+      brightness: 0.9
+    },
+    vars: {
+      '--theme-background': '#000',
+      '--theme-accent-rgb': '255, 176, 0',
+      '--theme-accent-hover': '#ffc94d',
+      '--theme-text-rgb': '255, 221, 160',
+      '--theme-panel-rgb': '10, 5, 0',
+      '--theme-highlight': '#fff',
+      '--theme-chrome': '#fff3dc',
+      '--theme-shuffle-color': '#fff3dc',
+      '--theme-shuffle-outline': '#000',
+      '--theme-footer-rgb': '150, 70, 0',
+      '--theme-footer-text-rgb': '255, 240, 215',
+      '--theme-canvas-filter': 'none'
+    }
+  },
+  {
+    id: 'ibm',
+    label: 'IBM blue',
+    shader: {
+      tint: '#5AA9FF',
+      scanlineIntensity: 0.8,
+      glitchAmount: 0.6,
+      flickerAmount: 0.6,
+      noiseAmp: 1,
+      chromaticAberration: 1,
+      curvature: 0.1,
+      brightness: 1
+    },
+    vars: {
+      '--theme-background': '#000814',
+      '--theme-accent-rgb': '90, 169, 255',
+      '--theme-accent-hover': '#9ccaff',
+      '--theme-text-rgb': '205, 228, 255',
+      '--theme-panel-rgb': '0, 8, 30',
+      '--theme-highlight': '#fff',
+      '--theme-chrome': '#fff',
+      '--theme-shuffle-color': '#eaf3ff',
+      '--theme-shuffle-outline': '#001141',
+      '--theme-footer-rgb': '15, 98, 254',
+      '--theme-footer-text-rgb': '255, 255, 255',
+      '--theme-canvas-filter': 'none'
+    }
+  },
+  {
+    /* Dark text on a light background: the shader draws white on black and the canvas is inverted. */
+    id: 'paper',
+    label: 'Paper (high contrast)',
+    shader: {
+      tint: '#ffffff',
+      scanlineIntensity: 0.4,
+      glitchAmount: 0.3,
+      flickerAmount: 0.2,
+      noiseAmp: 0.6,
+      chromaticAberration: 0,
+      curvature: 0.08,
+      brightness: 0.6
+    },
+    vars: {
+      '--theme-background': '#f5f1ea',
+      '--theme-accent-rgb': '20, 20, 20',
+      '--theme-accent-hover': '#444',
+      '--theme-text-rgb': '10, 10, 10',
+      '--theme-panel-rgb': '250, 248, 242',
+      '--theme-highlight': '#000',
+      '--theme-chrome': '#111',
+      '--theme-shuffle-color': '#111',
+      '--theme-shuffle-outline': '#f5f1ea',
+      '--theme-footer-rgb': '20, 20, 20',
+      '--theme-footer-text-rgb': '250, 248, 242',
+      '--theme-canvas-filter': 'invert(1)'
+    }
+  }
+];
+
+export const DEFAULT_THEME_ID = THEMES[0].id;
+
+/** Theme with this id, or the default theme if the id is unknown. */
+export function findTheme(id) {
+  return THEMES.find(theme => theme.id === id) || THEMES[0];
+}
+
+function isThemeId(id) {
+  return THEMES.some(theme => theme.id === id);
+}
+
+/** Saves the theme id; ignored when storage is unavailable (private mode, blocked cookies). */
+export function saveThemeId(id) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, id);
+  } catch {
+    /* not persisted */
+  }
+}
+
+/** Theme id to start with: the URL parameter if valid (and saved), else the saved one, else the default. */
+export function readInitialThemeId() {
+  const fromUrl = new URLSearchParams(window.location.search).get(URL_PARAM)?.toLowerCase();
+  if (isThemeId(fromUrl)) {
+    saveThemeId(fromUrl);
+    return fromUrl;
+  }
+  let saved = null;
+  try {
+    saved = window.localStorage.getItem(STORAGE_KEY);
+  } catch {
+    /* fall through to the default */
+  }
+  return isThemeId(saved) ? saved : DEFAULT_THEME_ID;
+}
+
+/** Writes the theme's CSS custom properties onto <html> so every stylesheet picks them up. */
+export function applyTheme(theme) {
+  const root = document.documentElement;
+  Object.entries(theme.vars).forEach(([name, value]) => root.style.setProperty(name, value));
+  root.dataset.theme = theme.id;
+}